@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -23,6 +24,7 @@ declare interface Component {
   $el: any; // so that we can attach __vue__ to it
   $data: Object;
   $props: Object;
+  $computedState: { [key: string]: ComputedState };
   $options: ComponentOptions;
   $parent: Component | void;
   $root: Component;
@@ -41,7 +43,7 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
@@ -59,8 +61,13 @@ declare interface Component {
   _watcher: Watcher;
   _watchers: Array<Watcher>;
   _computedWatchers: { [key: string]: Watcher };
+  _computedState: ?{ [key: string]: ComputedState };
+  _computedStateView: ?{ [key: string]: ComputedState };
   _data: Object;
   _props: Object;
+  _setupState: ?Object;
+  _setupPending: ?boolean;
+  _scope: EffectScope;
   _events: Object;
   _inactive: boolean | null;
   _directInactive: boolean;
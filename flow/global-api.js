@@ -7,6 +7,8 @@ declare interface GlobalAPI {
   extend: (options: Object) => Function;
   set: <T>(target: Object | Array<T>, key: string | number, value: T) => T;
   delete: <T>(target: Object| Array<T>, key: string | number) => void;
+  setPath: <T>(target: Object | Array<any>, path: string, value: T) => T;
+  deletePath: (target: Object | Array<any>, path: string) => void;
   nextTick: (fn: Function, context?: Object) => void | Promise<*>;
   use: (plugin: Function | Object) => GlobalAPI;
   mixin: (mixin: Object) => GlobalAPI;
@@ -17,6 +19,20 @@ declare interface GlobalAPI {
   filter: (id: string, def?: Function) => Function | void;
 
   observable: <T>(value: T) => T;
+  reactive: <T>(value: T) => T;
+  shallowReactive: <T>(value: T) => T;
+  readonly: <T>(value: T) => T;
+  markRaw: <T: Object>(value: T) => T;
+  ref: <T>(value: T) => { value: T };
+  isRef: (value: any) => boolean;
+  computed: (getterOrOptions: Function | Object) => { value: any };
+  effect: (fn: Function, options?: ?Object) => Function;
+  stop: (runner: Object) => void;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  batch: <T>(fn: () => T) => T;
+  snapshot: <T>(value: T) => T;
+  restore: <T>(target: T, snapshot: T) => void;
 
   // allow dynamic method registration
   [key: string]: any
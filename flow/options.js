@@ -19,10 +19,15 @@ declare type ComponentOptions = {
     [key: string]: Function | {
       get?: Function;
       set?: Function;
-      cache?: boolean
+      cache?: boolean;
+      equals?: (value: any, oldValue: any) => boolean;
+      onTrack?: Function;
+      onTrigger?: Function
     }
   };
   methods?: { [key: string]: Function };
+  emits?: { [key: string]: ?Function };
+  setup?: (props: Object, context: Object) => ?(Object | Function);
   watch?: { [key: string]: Function | string };
 
   // DOM
@@ -88,3 +93,9 @@ declare type PropOptions = {
   required: ?boolean;
   validator: ?Function;
 }
+
+declare type ComputedState = {
+  pending: boolean;
+  error: any;
+  value: any;
+}
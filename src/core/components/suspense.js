@@ -0,0 +1,120 @@
+/* @flow */
+
+import { isServerRendering } from 'core/util/index'
+import { createComponentInstanceForVnode } from 'core/vdom/create-component'
+import { normalizeScopedSlots } from 'core/vdom/helpers/normalize-scoped-slots'
+import { isAsyncPlaceholder, trackAsyncFactory } from 'core/vdom/helpers/index'
+
+function getSlotChildren (slot: ?Array<VNode>): Array<VNode> {
+  // whitespace text nodes are ignored
+  return slot ? slot.filter(c => c.tag || isAsyncPlaceholder(c)) : []
+}
+
+// slots using the v-slot syntax are only exposed as scoped slots
+function getSlot (vm: Component, name: string): ?Array<VNode> {
+  const scopedSlot = vm.$scopedSlots[name]
+  return vm.$slots[name] || (scopedSlot && scopedSlot())
+}
+
+// async components created by the render function of the parent, which
+// owns the slot, are found by walking the slot vnodes instead
+function trackAsyncPlaceholders (vm: Component, vnodes: ?Array<VNode>) {
+  if (!vnodes) return
+  for (let i = 0; i < vnodes.length; i++) {
+    const vnode = vnodes[i]
+    if (isAsyncPlaceholder(vnode)) {
+      trackAsyncFactory(vm, (vnode.asyncFactory: any))
+    } else {
+      trackAsyncPlaceholders(vm, vnode.children ||
+        (vnode.componentOptions && vnode.componentOptions.children))
+    }
+  }
+}
+
+// renders the default slot, mounted off-document while pending
+const SuspenseContent = {
+  name: 'suspense-content',
+  abstract: true,
+
+  render () {
+    const children = getSlotChildren(this.$slots.default)
+    trackAsyncPlaceholders(this._self, children)
+    return children.length ? children : undefined
+  }
+}
+
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  created () {
+    this._isSuspense = true
+    this.content = null
+    this.contentVNode = null
+    this.pendingCount = 0
+    this.factories = []
+    this.resolved = false
+  },
+
+  // mount the content off-document to find the async deps in it
+  beforeMount () {
+    if (isServerRendering()) {
+      return
+    }
+    // slots using the v-slot syntax are only normalized when rendering
+    const parentVnode = this.$vnode
+    if (parentVnode) {
+      this.$scopedSlots = normalizeScopedSlots(
+        parentVnode.data.scopedSlots,
+        this.$slots,
+        this.$scopedSlots
+      )
+    }
+    const vnode = this.$createElement(SuspenseContent, null, getSlot(this, 'default'))
+    vnode.data.keepAlive = true
+    const content = this.content = vnode.componentInstance = createComponentInstanceForVnode(vnode, this)
+    // the content is inserted like a kept-alive component, but is
+    // not activated when shown
+    content._inactive = false
+    content.$mount(undefined)
+    this.contentVNode = vnode
+    this.resolved = !this.pendingCount
+  },
+
+  beforeDestroy () {
+    if (this.content) {
+      this.content.$destroy()
+    }
+  },
+
+  render (h: Function) {
+    const vnode = h(SuspenseContent, null, getSlot(this, 'default'))
+    // async components are awaited by the server renderer itself
+    if (isServerRendering()) {
+      return vnode
+    }
+    vnode.data.keepAlive = true
+    const content = this.content
+    const contentVNode = this.contentVNode
+    if (!content || !contentVNode) {
+      return vnode
+    }
+    // once resolved, the content is updated when it is patched
+    if (!this.resolved) {
+      vnode.data.hook.prepatch(contentVNode, vnode)
+    }
+    // hooks of the children mounted while pending run once inserted
+    vnode.data.pendingInsert = contentVNode.data.pendingInsert
+    if (this.resolved) {
+      vnode.componentInstance = content
+      // the root element may have been replaced while pending, which
+      // only updates the $el of non-abstract parents
+      content.$el = content._vnode.elm
+      this.contentVNode = null
+      return vnode
+    }
+    this.contentVNode = vnode
+    const fallback = getSlotChildren(getSlot(this, 'fallback'))
+    return fallback.length ? fallback : undefined
+  }
+}
@@ -19,6 +19,11 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  strict: boolean;
+  reactivity: 'defineProperty' | 'proxy';
+  flushBudget: number;
+  releaseIdleComputed: boolean;
+  observeClasses: ?(value: Object) => boolean;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -83,6 +88,38 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * Throw instead of warning on writes to readonly reactive views
+   */
+  strict: false,
+
+  /**
+   * How data is observed. 'proxy' wraps objects and arrays in a Proxy,
+   * which makes added/deleted keys and array index writes reactive.
+   * Falls back to 'defineProperty' where Proxy is not supported.
+   */
+  reactivity: 'defineProperty',
+
+  /**
+   * Time in milliseconds a single flush of the watcher queue may take
+   * before yielding to the browser. 0 runs the whole queue at once.
+   * nextTick callbacks are held back until the whole queue has run.
+   */
+  flushBudget: 0,
+
+  /**
+   * Whether computed properties that nothing depends on should release
+   * their dependencies and cached value. They subscribe again when they
+   * are next read, but are re-evaluated on every read while idle.
+   */
+  releaseIdleComputed: false,
+
+  /**
+   * Check if an object that is not plain, such as a class instance with a
+   * custom Symbol.toStringTag, should be made reactive.
+   */
+  observeClasses: null,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -8,7 +8,22 @@ import { initAssetRegisters } from './assets'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import { observe, toReactive } from 'core/observer/index'
+import { readonly } from 'core/observer/readonly'
+import { effectScope, getCurrentScope } from 'core/observer/effect-scope'
+import { batch } from 'core/observer/batch'
+import { snapshot, restore } from 'core/observer/snapshot'
+import { setPath, deletePath } from 'core/observer/path'
+import {
+  reactive,
+  shallowReactive,
+  markRaw,
+  ref,
+  isRef,
+  computed,
+  effect,
+  stop
+} from 'core/observer/reactivity'
 
 import {
   warn,
@@ -43,14 +58,32 @@ export function initGlobalAPI (Vue: GlobalAPI) {
 
   Vue.set = set
   Vue.delete = del
+  Vue.setPath = setPath
+  Vue.deletePath = deletePath
   Vue.nextTick = nextTick
 
   // 2.6 explicit observable API
   Vue.observable = <T>(obj: T): T => {
     observe(obj)
-    return obj
+    return toReactive(obj)
   }
 
+  // standalone reactivity API
+  Vue.reactive = reactive
+  Vue.shallowReactive = shallowReactive
+  Vue.readonly = readonly
+  Vue.markRaw = markRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.computed = computed
+  Vue.effect = effect
+  Vue.stop = stop
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.batch = batch
+  Vue.snapshot = snapshot
+  Vue.restore = restore
+
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
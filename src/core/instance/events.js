@@ -2,13 +2,50 @@
 
 import {
   tip,
+  warn,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
+  emptyObject,
+  handleError,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
 import { updateListeners } from '../vdom/helpers/index'
 
+/**
+ * Find the key an event is declared under in the emits option,
+ * matching camelCase and kebab-case names against each other.
+ */
+function resolveEmit (emits: Object, event: string): ?string {
+  if (hasOwn(emits, event)) return event
+  const hyphenated = hyphenate(event)
+  if (hasOwn(emits, hyphenated)) return hyphenated
+  const camelized = camelize(event)
+  if (hasOwn(emits, camelized)) return camelized
+}
+
+/**
+ * Get the listeners exposed as $listeners, leaving out the events
+ * declared in the emits option so they don't fall through to elements.
+ */
+export function getFallthroughListeners (vm: Component, listeners: ?Object): Object {
+  const emits = vm.$options.emits
+  if (!listeners || !emits) {
+    return listeners || emptyObject
+  }
+  const res = {}
+  for (const key in listeners) {
+    // once listeners are prefixed with ~
+    const event = key.charAt(0) === '~' ? key.slice(1) : key
+    if (!resolveEmit(emits, event)) {
+      res[key] = listeners[key]
+    }
+  }
+  return res
+}
+
 export function initEvents (vm: Component) {
   vm._events = Object.create(null)
   vm._hasHookEvent = false
@@ -128,6 +165,27 @@ export function eventsMixin (Vue: Class<Component>) {
           `You should probably use "${hyphenate(event)}" instead of "${event}".`
         )
       }
+      // lifecycle hook events are not declared
+      const emits = vm.$options.emits
+      if (emits && event.indexOf('hook:') !== 0) {
+        const declared = resolveEmit(emits, event)
+        const validator = declared && emits[declared]
+        if (!declared) {
+          warn(
+            `Component emitted event "${event}" but it is not declared ` +
+            `in the emits option.`,
+            vm
+          )
+        } else if (validator) {
+          try {
+            if (!validator.apply(vm, toArray(arguments, 1))) {
+              warn(`Invalid payload for event "${event}": validation failed.`, vm)
+            }
+          } catch (e) {
+            handleError(e, vm, `emits validator for "${event}"`)
+          }
+        }
+      }
     }
     let cbs = vm._events[event]
     if (cbs) {
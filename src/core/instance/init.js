@@ -9,6 +9,8 @@ import { mark, measure } from "../util/perf";
 import { initLifecycle, callHook } from "./lifecycle";
 import { initProvide, initInjections } from "./inject";
 import { extend, mergeOptions, formatComponentName } from "../util/index";
+import { prefetchForSuspense } from "../vdom/helpers/index";
+import { EffectScope } from "../observer/effect-scope";
 
 let uid = 0;
 
@@ -29,6 +31,9 @@ export function initMixin(Vue: Class<Component>) {
 
     // a flag to avoid this being observed
     vm._isVue = true;
+    // collects the watchers of the instance, which belong to it rather
+    // than to a scope that happens to be running while it is created
+    vm._scope = new EffectScope(true /* detached */);
     // merge options
     if (options && options._isComponent) {
       // optimize internal component instantiation
@@ -57,10 +62,13 @@ export function initMixin(Vue: Class<Component>) {
     initEvents(vm);
     initRender(vm);
     callHook(vm, "beforeCreate");
-    initInjections(vm); // resolve injections before data/props
-    initState(vm);
-    initProvide(vm); // resolve provide after data/props
+    vm._scope.run(() => {
+      initInjections(vm); // resolve injections before data/props
+      initState(vm);
+      initProvide(vm); // resolve provide after data/props
+    });
     callHook(vm, "created");
+    prefetchForSuspense(vm);
 
     /* istanbul ignore if */
     if (process.env.NODE_ENV !== "production" && config.performance && mark) {
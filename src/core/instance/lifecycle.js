@@ -4,7 +4,7 @@ import config from "../config";
 import Watcher from "../observer/watcher";
 import { mark, measure } from "../util/perf";
 import { createEmptyVNode } from "../vdom/vnode";
-import { updateComponentListeners } from "./events";
+import { updateComponentListeners, getFallthroughListeners } from "./events";
 import { resolveSlots } from "./render-helpers/resolve-slots";
 import { toggleObserving } from "../observer/index";
 import { pushTarget, popTarget } from "../observer/dep";
@@ -115,6 +115,8 @@ export function lifecycleMixin(Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown();
     }
+    // stop effects created in setup() and hooks
+    vm._scope.stop();
     // remove reference from data ob
     // frozen object may not have observer.
     if (vm._data.__ob__) {
@@ -208,20 +210,22 @@ export function mountComponent(
   // 渲染 Watcher 的第二个参数传递了我们的 updateComponent，
   // 这个参数会在渲染 Watcher 实例化的时候赋值给 this.getter 属性，
   // 当进行派发更新的时候，会遍历 subs 数组执行 update，然后调用 this.getter，也就是再次调用 updateComponent，然后让组件重新渲染。
-  new Watcher(
-    vm,
-    updateComponent,
-    noop,
-    {
-      before() {
-        if (vm._isMounted && !vm._isDestroyed) {
-          // 调用生命周期钩子
-          callHook(vm, "beforeUpdate");
-        }
+  vm._scope.run(() => {
+    new Watcher(
+      vm,
+      updateComponent,
+      noop,
+      {
+        before() {
+          if (vm._isMounted && !vm._isDestroyed) {
+            // 调用生命周期钩子
+            callHook(vm, "beforeUpdate");
+          }
+        },
       },
-    },
-    true /* isRenderWatcher */
-  );
+      true /* isRenderWatcher */
+    );
+  });
   hydrating = false;
 
   // manually mounted instance, call mounted on self
@@ -308,7 +312,7 @@ export function updateChildComponent(
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject;
-  vm.$listeners = listeners || emptyObject;
+  vm.$listeners = getFallthroughListeners(vm, listeners);
 
   // update props
   if (propsData && vm.$options.props) {
@@ -393,8 +397,18 @@ export function callHook(vm: Component, hook: string) {
   const handlers = vm.$options[hook];
   const info = `${hook} hook`;
   if (handlers) {
-    for (let i = 0, j = handlers.length; i < j; i++) {
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info);
+    // watchers created in hooks belong to the instance as well, unless
+    // it has already been destroyed
+    const scope = vm._scope;
+    const invoke = () => {
+      for (let i = 0, j = handlers.length; i < j; i++) {
+        invokeWithErrorHandling(handlers[i], vm, null, vm, info);
+      }
+    };
+    if (scope && scope.active) {
+      scope.run(invoke);
+    } else {
+      invoke();
     }
   }
   if (vm._hasHookEvent) {
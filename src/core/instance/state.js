@@ -4,11 +4,14 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { isRef } from '../observer/reactivity'
+import { registerSuspenseDep } from '../vdom/helpers/index'
 
 import {
   set,
   del,
   observe,
+  toReactive,
   defineReactive,
   toggleObserving
 } from '../observer/index'
@@ -17,15 +20,18 @@ import {
   warn,
   bind,
   noop,
+  extend,
   hasOwn,
   hyphenate,
+  isPromise,
   isReserved,
   handleError,
   nativeWatch,
   validateProp,
   isPlainObject,
   isServerRendering,
-  isReservedAttribute
+  isReservedAttribute,
+  invokeWithErrorHandling
 } from '../util/index'
 
 const sharedPropertyDefinition = {
@@ -53,10 +59,11 @@ export function initState (vm: Component) {
   const opts = vm.$options
   if (opts.props) initProps(vm, opts.props)
   if (opts.methods) initMethods(vm, opts.methods)
+  if (opts.setup) initSetup(vm, opts.setup)
   if (opts.data) {
     initData(vm)
   } else {
-    observe(vm._data = {}, true /* asRootData */)
+    observeData(vm, vm._data = {})
   }
   if (opts.computed) initComputed(vm, opts.computed)
   if (opts.watch && opts.watch !== nativeWatch) {
@@ -116,6 +123,106 @@ function initProps (vm: Component, propsOptions: Object) {
   toggleObserving(true)
 }
 
+/**
+ * Call the setup() option inside an effect scope owned by the instance,
+ * so that the watchers and effects it creates are stopped with it.
+ * A returned object is bound onto the instance, with refs unwrapped;
+ * a returned function is used as the render function. When a promise
+ * is returned, the instance renders nothing until it resolves, and a
+ * surrounding <suspense> waits for it.
+ */
+function initSetup (vm: Component, setup: Function) {
+  const scope = vm._scope
+  const context = createSetupContext(vm)
+  const result: any = scope.run(() => invokeWithErrorHandling(
+    setup, null, [vm._props || {}, context], vm, 'setup()'
+  ))
+  if (isPromise(result)) {
+    const settle = registerSuspenseDep(vm)
+    vm._setupPending = true
+    // errors are already reported by invokeWithErrorHandling
+    result.then(res => {
+      if (!vm._isDestroyed) {
+        vm._setupPending = false
+        handleSetupResult(vm, res)
+        vm.$forceUpdate()
+      }
+      if (settle) settle()
+    }, () => {
+      if (settle) settle()
+    })
+  } else {
+    handleSetupResult(vm, result)
+  }
+}
+
+function handleSetupResult (vm: Component, result: any) {
+  if (typeof result === 'function') {
+    vm.$options.render = result
+  } else if (isPlainObject(result)) {
+    const state = vm._setupState = result
+    const props = vm.$options.props
+    const methods = vm.$options.methods
+    for (const key in state) {
+      if (props && hasOwn(props, key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() property "${key}" is already declared as a prop.`,
+          vm
+        )
+        continue
+      }
+      if (process.env.NODE_ENV !== 'production' && methods && hasOwn(methods, key)) {
+        warn(`setup() property "${key}" has already been defined as a method.`, vm)
+      }
+      if (isReserved(key)) {
+        process.env.NODE_ENV !== 'production' && warn(
+          `setup() property "${key}" is not bound to the instance. ` +
+          `Avoid properties that start with _ or $.`,
+          vm
+        )
+      } else {
+        proxySetupState(vm, state, key)
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production' && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function, ` +
+      `got ${result === null ? 'null' : typeof result}.`,
+      vm
+    )
+  }
+}
+
+function createSetupContext (vm: Component): Object {
+  const context = {}
+  const keys = ['attrs', 'listeners', 'slots']
+  keys.forEach(key => {
+    // these are replaced on every update of the parent
+    Object.defineProperty(context, key, {
+      enumerable: true,
+      get: () => vm['$' + key]
+    })
+  })
+  context.emit = bind(vm.$emit, vm)
+  return context
+}
+
+function proxySetupState (vm: Component, state: Object, key: string) {
+  sharedPropertyDefinition.get = function setupStateGetter () {
+    const value = state[key]
+    return isRef(value) ? value.value : value
+  }
+  sharedPropertyDefinition.set = function setupStateSetter (val) {
+    const value = state[key]
+    if (isRef(value) && !isRef(val)) {
+      value.value = val
+    } else {
+      state[key] = val
+    }
+  }
+  Object.defineProperty(vm, key, sharedPropertyDefinition)
+}
+
 function initData (vm: Component) {
   let data = vm.$options.data
   data = vm._data = typeof data === 'function'
@@ -133,6 +240,7 @@ function initData (vm: Component) {
   const keys = Object.keys(data)
   const props = vm.$options.props
   const methods = vm.$options.methods
+  const setupState = vm._setupState
   let i = keys.length
   while (i--) {
     const key = keys[i]
@@ -143,6 +251,12 @@ function initData (vm: Component) {
           vm
         )
       }
+      if (setupState && hasOwn(setupState, key)) {
+        warn(
+          `The data property "${key}" is already returned from setup().`,
+          vm
+        )
+      }
     }
     if (props && hasOwn(props, key)) {
       process.env.NODE_ENV !== 'production' && warn(
@@ -155,7 +269,15 @@ function initData (vm: Component) {
     }
   }
   // observe data
-  observe(data, true /* asRootData */)
+  observeData(vm, data)
+}
+
+function observeData (vm: Component, data: Object) {
+  const ob = observe(data, true /* asRootData */)
+  // in proxy reactivity mode, instance data is accessed through the proxy
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -172,6 +294,28 @@ export function getData (data: Function, vm: Component): any {
 }
 
 const computedWatcherOptions = { lazy: true }
+const releasedComputedWatcherOptions = { lazy: true, releaseIdle: true }
+
+function getComputedWatcherOptions (userDef: Object | Function): Object {
+  let options = config.releaseIdleComputed
+    ? releasedComputedWatcherOptions
+    : computedWatcherOptions
+  if (typeof userDef === 'function') {
+    return options
+  }
+  if (typeof userDef.equals === 'function') {
+    options = extend({ equals: userDef.equals }, options)
+  }
+  if (process.env.NODE_ENV !== 'production' &&
+    (userDef.onTrack || userDef.onTrigger)
+  ) {
+    options = extend({
+      onTrack: userDef.onTrack,
+      onTrigger: userDef.onTrigger
+    }, options)
+  }
+  return options
+}
 
 function initComputed (vm: Component, computed: Object) {
   // $flow-disable-line
@@ -196,7 +340,7 @@ function initComputed (vm: Component, computed: Object) {
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        getComputedWatcherOptions(userDef)
       )
     }
 
@@ -213,6 +357,8 @@ function initComputed (vm: Component, computed: Object) {
         warn(`The computed property "${key}" is already defined in data.`, vm)
       } else if (vm.$options.props && key in vm.$options.props) {
         warn(`The computed property "${key}" is already defined as a prop.`, vm)
+      } else if (vm._setupState && key in vm._setupState) {
+        warn(`The computed property "${key}" is already returned from setup().`, vm)
       }
     }
   }
@@ -257,6 +403,9 @@ function createComputedGetter (key) {
     if (watcher) {
       if (watcher.dirty) {
         watcher.evaluate()
+        if (isPromise(watcher.value)) {
+          resolveAsyncComputed(this, key, watcher)
+        }
       }
       if (Dep.target) {
         // computed watcher .deps 必定有值，是因为计算属性访问了 data，
@@ -264,9 +413,79 @@ function createComputedGetter (key) {
         // 所以 computed watcher 的 deps 里面都是 data 的 dep
         watcher.depend()
       }
-      return watcher.value
+      // async computed properties evaluate to their last resolved value
+      if (isPromise(watcher.value)) {
+        return getComputedStates(this)[key].value
+      }
+      const value = watcher.value
+      // nothing depends on the value read outside of a watcher
+      if (watcher.releaseIdle && !Dep.target && !(watcher.dep: any).subs.length) {
+        watcher.release()
+      }
+      return value
+    }
+  }
+}
+
+/**
+ * Track the promise returned by an async computed property in its
+ * `$computedState` entry. Only dependencies read before the getter's
+ * first `await` are tracked.
+ */
+function resolveAsyncComputed (vm: Component, key: string, watcher: Watcher) {
+  const state = getComputedStates(vm)[key]
+  const promise = watcher.value
+  state.pending = true
+  state.error = null
+  // results of an evaluation that has been superseded, or whose
+  // dependencies changed while it was in flight, are discarded
+  const isStale = () => watcher.value !== promise || watcher.dirty
+  promise.then(value => {
+    if (!isStale()) {
+      state.value = value
+      state.pending = false
+    }
+  }, err => {
+    if (!isStale()) {
+      state.error = err
+      state.pending = false
+    }
+  })
+}
+
+function getComputedStates (vm: Component): Object {
+  if (!vm._computedState) {
+    const states = {}
+    for (const key in vm._computedWatchers) {
+      states[key] = { pending: false, error: null, value: undefined }
+    }
+    observe(states)
+    vm._computedState = toReactive(states)
+  }
+  return vm._computedState
+}
+
+/**
+ * The entries of `$computedState` read their computed property first, so
+ * that reading only `pending` or `value` evaluates a dirty async getter
+ * and tracks its dependencies.
+ */
+function getComputedStateView (vm: Component): Object {
+  if (!vm._computedStateView) {
+    const states = getComputedStates(vm)
+    const view = {}
+    for (const key in states) {
+      const entryDef = {}
+      entryDef.enumerable = true
+      entryDef.get = function () {
+        vm[key] // evaluates the computed property if dirty
+        return states[key]
+      }
+      Object.defineProperty(view, key, entryDef)
     }
+    vm._computedStateView = view
   }
+  return vm._computedStateView
 }
 
 function createGetterInvoker(fn) {
@@ -318,13 +537,17 @@ function initWatch (vm: Component, watch: Object) {
 
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<string | Function>,
   handler: any,
   options?: Object
 ) {
   if (isPlainObject(handler)) {
     options = handler
     handler = handler.handler
+    // a `watch` option entry can watch several sources at once
+    if (Array.isArray(options.sources)) {
+      expOrFn = options.sources
+    }
   }
   if (typeof handler === 'string') {
     handler = vm[handler]
@@ -340,6 +563,8 @@ export function stateMixin (Vue: Class<Component>) {
   dataDef.get = function () { return this._data }
   const propsDef = {}
   propsDef.get = function () { return this._props }
+  const computedStateDef = {}
+  computedStateDef.get = function () { return getComputedStateView(this) }
   if (process.env.NODE_ENV !== 'production') {
     dataDef.set = function () {
       warn(
@@ -354,12 +579,13 @@ export function stateMixin (Vue: Class<Component>) {
   }
   Object.defineProperty(Vue.prototype, '$data', dataDef)
   Object.defineProperty(Vue.prototype, '$props', propsDef)
+  Object.defineProperty(Vue.prototype, '$computedState', computedStateDef)
 
   Vue.prototype.$set = set
   Vue.prototype.$delete = del
 
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -4,6 +4,8 @@
  */
 
 import { def } from '../util/index'
+import { TriggerOpTypes } from './operations'
+import { readonlyWriteFailed, syncReadonlyView } from './readonly'
 
 const arrayProto = Array.prototype
 export const arrayMethods = Object.create(arrayProto)
@@ -25,8 +27,10 @@ methodsToPatch.forEach(function (method) {
   // cache original method
   const original = arrayProto[method]
   def(arrayMethods, method, function mutator (...args) {
-    const result = original.apply(this, args)
     const ob = this.__ob__
+    // bypass the proxy in proxy reactivity mode, the
+    // whole mutation is notified below
+    const result = original.apply(ob.value, args)
     let inserted
     switch (method) {
       case 'push':
@@ -37,9 +41,29 @@ methodsToPatch.forEach(function (method) {
         inserted = args.slice(2)
         break
     }
-    if (inserted) ob.observeArray(inserted)
+    if (inserted && !ob.shallow) ob.observeArray(inserted)
+    syncReadonlyView(ob.value)
     // notify change
-    ob.dep.notify()
+    if (process.env.NODE_ENV !== 'production') {
+      ob.dep.notify({
+        type: TriggerOpTypes.ARRAY_MUTATION,
+        target: ob.value,
+        key: method
+      })
+    } else {
+      ob.dep.notify()
+    }
     return result
   })
 })
+
+export const readonlyArrayMethods = Object.create(arrayProto)
+
+/**
+ * Reject mutating methods on readonly array views
+ */
+methodsToPatch.forEach(function (method) {
+  def(readonlyArrayMethods, method, function readonlyMutator () {
+    readonlyWriteFailed(`Array method "${method}" failed: target is readonly.`)
+  })
+})
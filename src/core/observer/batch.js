@@ -0,0 +1,69 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
+
+let depth = 0
+let pending: Array<Watcher> = []
+let has: { [key: number]: ?true } = {}
+let infos: { [key: number]: DebuggerEventExtraInfo | void } = {}
+// whether all updates of a watcher were conditional, see Watcher#update
+let conditionals: { [key: number]: boolean } = {}
+
+export function isBatching (): boolean {
+  return depth > 0
+}
+
+/**
+ * Defer updating a watcher until the outermost batch ends.
+ * Each watcher is updated at most once per batch.
+ */
+export function queueBatchedWatcher (
+  watcher: Watcher,
+  info?: DebuggerEventExtraInfo,
+  conditional?: boolean
+) {
+  const id = watcher.id
+  if (has[id] == null) {
+    has[id] = true
+    pending.push(watcher)
+    conditionals[id] = !!conditional
+  } else if (!conditional) {
+    conditionals[id] = false
+  }
+  infos[id] = info
+}
+
+/**
+ * Run a function and hold back watcher updates triggered by the
+ * writes it makes until it returns, so that watchers (including sync
+ * ones) run once against the final state. Computed values are still
+ * marked dirty right away, so reads inside the batch are up to date.
+ * Batches can be nested; updates run when the outermost one ends.
+ */
+export function batch<T> (fn: () => T): T {
+  depth++
+  try {
+    return fn()
+  } finally {
+    if (--depth === 0) {
+      flushBatch()
+    }
+  }
+}
+
+function flushBatch () {
+  const watchers = pending
+  const watcherInfos = infos
+  const watcherConditionals = conditionals
+  pending = []
+  has = {}
+  infos = {}
+  conditionals = {}
+  // update in creation order, like the scheduler does
+  watchers.sort((a, b) => a.id - b.id)
+  for (let i = 0; i < watchers.length; i++) {
+    const id = watchers[i].id
+    watchers[i].update(watcherInfos[id], watcherConditionals[id])
+  }
+}
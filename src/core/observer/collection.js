@@ -0,0 +1,174 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import config from '../config'
+import Dep from './dep'
+import { toReactive } from './index'
+import { def, hasSymbol, toRawType } from '../util/index'
+import { TrackOpTypes, TriggerOpTypes } from './operations'
+
+/**
+ * Check if a value is a native Map or Set that can be instrumented.
+ */
+export function isCollection (value) {
+  const type = toRawType(value)
+  return type === 'Map' || type === 'Set'
+}
+
+export const mapMethods = typeof Map !== 'undefined'
+  ? createInstrumentations(Map.prototype, true)
+  : null
+
+export const setMethods = typeof Set !== 'undefined'
+  ? createInstrumentations(Set.prototype, false)
+  : null
+
+/**
+ * Intercept reading and mutating methods of a collection prototype.
+ * Like arrays, a collection only has one dep (the observer's), which
+ * is collected on every read and notified on every effective change.
+ */
+function createInstrumentations (proto, isMap) {
+  const methods = Object.create(proto)
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+
+  // reads
+  if (isMap) {
+    def(methods, 'get', function get (key) {
+      const value = proto.get.call(this, key)
+      if (Dep.target) {
+        track(this, TrackOpTypes.GET, key)
+        dependValue(value)
+      }
+      return toReactive(value)
+    })
+  }
+
+  def(methods, 'has', function has (key) {
+    if (Dep.target) track(this, TrackOpTypes.HAS, key)
+    return proto.has.call(this, key)
+  })
+
+  Object.defineProperty(methods, 'size', {
+    get () {
+      if (Dep.target) track(this, TrackOpTypes.ITERATE)
+      return sizeGetter.call(this)
+    },
+    configurable: true
+  })
+
+  const iterationMethods = ['forEach', 'keys', 'values', 'entries']
+  if (hasSymbol) iterationMethods.push(Symbol.iterator)
+  iterationMethods.forEach(method => {
+    const original = proto[method]
+    // whether the iterator yields [key, value] pairs
+    const isPair = method === 'entries' || (isMap && method !== 'keys' && method !== 'values')
+    def(methods, method, function iterate (...args) {
+      if (Dep.target) {
+        track(this, TrackOpTypes.ITERATE)
+        proto.forEach.call(this, dependValue)
+      }
+      if (config.reactivity !== 'proxy') {
+        return original.apply(this, args)
+      }
+      // hand out proxies of observed entries in proxy reactivity mode
+      if (method === 'forEach') {
+        const [cb, thisArg] = args
+        return original.call(this, (value, key, collection) => {
+          cb.call(thisArg, toReactive(value), toReactive(key), collection)
+        })
+      }
+      return wrapIterator(original.call(this), isPair)
+    })
+  })
+
+  // mutations
+  if (isMap) {
+    def(methods, 'set', function set (key, value) {
+      const had = proto.has.call(this, key)
+      const oldValue = proto.get.call(this, key)
+      proto.set.call(this, key, value)
+      /* eslint-disable no-self-compare */
+      if (!had || !(value === oldValue || (value !== value && oldValue !== oldValue))) {
+        if (!this.__ob__.shallow) this.__ob__.observeArray([value])
+        trigger(this, had ? TriggerOpTypes.SET : TriggerOpTypes.ADD, key, value, oldValue)
+      }
+      /* eslint-enable no-self-compare */
+      return this
+    })
+  } else {
+    def(methods, 'add', function add (value) {
+      if (!proto.has.call(this, value)) {
+        proto.add.call(this, value)
+        if (!this.__ob__.shallow) this.__ob__.observeArray([value])
+        trigger(this, TriggerOpTypes.ADD, value, value)
+      }
+      return this
+    })
+  }
+
+  def(methods, 'delete', function deleteEntry (key) {
+    const had = proto.delete.call(this, key)
+    if (had) trigger(this, TriggerOpTypes.DELETE, key)
+    return had
+  })
+
+  def(methods, 'clear', function clear () {
+    const hadItems = sizeGetter.call(this) !== 0
+    proto.clear.call(this)
+    if (hadItems) trigger(this, TriggerOpTypes.CLEAR)
+  })
+
+  return methods
+}
+
+function wrapIterator (iterator, isPair) {
+  const wrapped = {
+    next () {
+      const result = iterator.next()
+      if (!result.done) {
+        result.value = isPair
+          ? [toReactive(result.value[0]), toReactive(result.value[1])]
+          : toReactive(result.value)
+      }
+      return result
+    }
+  }
+  if (hasSymbol) {
+    wrapped[Symbol.iterator] = function () { return this }
+  }
+  return wrapped
+}
+
+function track (target, type, key) {
+  if (process.env.NODE_ENV !== 'production') {
+    target.__ob__.dep.depend({ target, type, key })
+  } else {
+    target.__ob__.dep.depend()
+  }
+}
+
+function trigger (target, type, key, newValue, oldValue) {
+  if (process.env.NODE_ENV !== 'production') {
+    target.__ob__.dep.notify({ target, type, key, newValue, oldValue })
+  } else {
+    target.__ob__.dep.notify()
+  }
+}
+
+/**
+ * Collect dependencies on a value read out of a collection, the same
+ * way a reactive getter does for its child observer.
+ */
+function dependValue (value) {
+  if (value && value.__ob__) {
+    value.__ob__.dep.depend()
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0, l = value.length; i < l; i++) {
+      dependValue(value[i])
+    }
+  }
+}
@@ -1,11 +1,24 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
+import { isBatching, queueBatchedWatcher } from './batch'
 
 let uid = 0
 
+/**
+ * Extra information describing a dependency operation. Only passed in
+ * dev mode, where it is reported to onTrack / onTrigger hooks.
+ */
+export type DebuggerEventExtraInfo = {
+  target: any;
+  type: string;
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -14,6 +27,7 @@ export default class Dep {
   static target: ?Watcher
   id: number
   subs: Array<Watcher>
+  owner: ?Watcher // lazy watcher the dep belongs to
 
   constructor() {
     this.id = uid++
@@ -30,20 +44,33 @@ export default class Dep {
 
   removeSub(sub: Watcher) {
     remove(this.subs, sub)
+    const owner = this.owner
+    if (owner && owner.releaseIdle && !this.subs.length) {
+      owner.release()
+    }
   }
 
-  depend() {
-    if (Dep.target) {
+  depend(info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    if (target) {
+      if (process.env.NODE_ENV !== 'production' && info &&
+        target.onTrack && !target.newDepIds.has(this.id)
+      ) {
+        target.onTrack.call(target.vm, extend({ effect: target }, info))
+      }
       // watcher.newDeps 里保留着 dep
       // 让渲染watcher 订阅 这个 dep（收集依赖）
 
       // computed watcher 中 引用的 data 依赖，所收集的是渲染watcher，
       // 因为 computed watcher 计算结束后将computed watcher pop 出去了
-      Dep.target.addDep(this)
+      target.addDep(this)
     }
   }
 
-  notify() {
+  notify(info?: DebuggerEventExtraInfo) {
+    // dependents of a computed with `equals` only run once its new
+    // value turns out to differ, which is checked right before they run
+    const source = this.owner && this.owner.equals ? this.owner : null
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -53,7 +80,20 @@ export default class Dep {
       subs.sort((a, b) => a.id - b.id)
     }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      if (process.env.NODE_ENV !== 'production' && info && sub.onTrigger) {
+        sub.onTrigger.call(sub.vm, extend({ effect: sub }, info))
+      }
+      if (source && !sub.lazy) {
+        sub.addCheck(source)
+      }
+      // computed watchers are only marked dirty, which is safe to do
+      // right away inside a batch
+      if (isBatching() && !sub.lazy) {
+        queueBatchedWatcher(sub, info, !!source)
+      } else {
+        sub.update(info, !!source)
+      }
     }
   }
 }
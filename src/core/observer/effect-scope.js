@@ -0,0 +1,85 @@
+/* @flow */
+
+import type Watcher from './watcher'
+import { warn } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the watchers created while it is running,
+ * so that they can be stopped together. Scopes created inside another
+ * scope are stopped with it unless they are detached.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  scopes: ?Array<EffectScope>;
+  parent: ?EffectScope;
+  index: ?number; // position in the parent's scopes
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      this.index = (activeEffectScope.scopes || (activeEffectScope.scopes = [])).push(this) - 1
+    }
+  }
+
+  run<T> (fn: () => T): T | void {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn('cannot run an inactive effect scope.')
+    }
+  }
+
+  stop (fromParent?: boolean) {
+    if (this.active) {
+      for (let i = 0; i < this.effects.length; i++) {
+        this.effects[i].teardown()
+      }
+      if (this.scopes) {
+        for (let i = 0; i < this.scopes.length; i++) {
+          this.scopes[i].stop(true)
+        }
+      }
+      // remove from the parent scope, unless the parent is being
+      // stopped as a whole
+      const siblings = this.parent && this.parent.scopes
+      const index = this.index
+      if (!fromParent && siblings && index != null) {
+        const last = siblings.pop()
+        if (last && last !== this) {
+          siblings[index] = last
+          last.index = index
+        }
+      }
+      this.parent = null
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Add a watcher to the active effect scope, if any.
+ */
+export function recordEffectScope (effect: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(effect)
+  }
+}
@@ -1,22 +1,33 @@
 /* @flow */
 
+import config from '../config'
 import Dep from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { proxyHandlers } from './proxy'
+import { isCollection, mapMethods, setMethods } from './collection'
+import { TrackOpTypes, TriggerOpTypes } from './operations'
+import { isReadonly, readonlyWriteFailed, syncReadonlyView } from './readonly'
 import {
   def,
   warn,
   hasOwn,
   hasProto,
+  hasProxy,
   isObject,
   isPlainObject,
   isPrimitive,
+  toRawType,
   isUndef,
   isValidArrayIndex,
   isServerRendering
 } from '../util/index'
 
 const arrayKeys = Object.getOwnPropertyNames(arrayMethods)
+const NO_INITIAL_VALUE = {}
+// size is an accessor and cannot be copied over as a plain value
+const getCollectionKeys = methods => Object.getOwnPropertyNames(methods)
+  .filter(key => key !== 'size')
 
 /**
  * In some cases we may want to disable observation inside a component's
@@ -28,29 +39,88 @@ export function toggleObserving (value: boolean) {
   shouldObserve = value
 }
 
+let warnedNoProxy = false
+
+function shouldUseProxy (value: any): boolean {
+  if (config.reactivity !== 'proxy') {
+    return false
+  }
+  if (!hasProxy) {
+    if (process.env.NODE_ENV !== 'production' && !warnedNoProxy) {
+      warnedNoProxy = true
+      warn(
+        'Proxy reactivity mode is not supported in this environment, ' +
+        'falling back to getter/setters.'
+      )
+    }
+    return false
+  }
+  return Array.isArray(value) || isObservableObject(value)
+}
+
+/**
+ * Plain objects are observed, other objects only if opted in through
+ * config.observeClasses.
+ */
+function isObservableObject (value: any): boolean {
+  if (isPlainObject(value)) {
+    return true
+  }
+  const observeClasses = config.observeClasses
+  return !!observeClasses &&
+    !Array.isArray(value) &&
+    !isCollection(value) &&
+    observeClasses(value)
+}
+
 /**
  * Observer class that is attached to each observed
  * object. Once attached, the observer converts the target
  * object's property keys into getter/setters that
  * collect dependencies and dispatch updates.
+ * In proxy reactivity mode, the object is left untouched and
+ * wrapped in a Proxy instead, which is what should be handed out.
  */
 export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  shallow: boolean; // only the top-level keys are reactive
+  proxy: ?Object; // proxy reactivity mode only
+  keyDeps: ?Object; // per-key deps, proxy reactivity mode only
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean) {
     this.value = value
     this.dep = new Dep()
     this.vmCount = 0
+    this.shallow = !!shallow
     def(value, '__ob__', this)
-    if (Array.isArray(value)) {
+    if (shouldUseProxy(value)) {
+      // nested values are observed lazily as they are read
+      this.keyDeps = Object.create(null)
+      this.proxy = new Proxy(value, proxyHandlers)
+      if (Array.isArray(value)) {
+        protoAugment(value, arrayMethods)
+      }
+    } else if (Array.isArray(value)) {
       if (hasProto) {
         protoAugment(value, arrayMethods)
       } else {
         copyAugment(value, arrayMethods, arrayKeys)
       }
-      this.observeArray(value)
+      if (!shallow) {
+        this.observeArray(value)
+      }
+    } else if (isCollection(value)) {
+      const methods = toRawType(value) === 'Map' ? mapMethods : setMethods
+      if (hasProto) {
+        protoAugment(value, methods)
+      } else {
+        copyAugment(value, methods, getCollectionKeys(methods))
+      }
+      if (!shallow) {
+        this.observeCollection(value)
+      }
     } else {
       this.walk(value)
     }
@@ -64,7 +134,7 @@ export class Observer {
   walk (obj: Object) {
     const keys = Object.keys(obj)
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      defineReactive(obj, keys[i], NO_INITIAL_VALUE, undefined, this.shallow)
     }
   }
 
@@ -76,6 +146,15 @@ export class Observer {
       observe(items[i])
     }
   }
+
+  /**
+   * Observe the values of a Map or Set.
+   */
+  observeCollection (collection: Map<any, any> | Set<any>) {
+    collection.forEach(value => {
+      observe(value)
+    })
+  }
 }
 
 // helpers
@@ -106,8 +185,13 @@ function copyAugment (target: Object, src: Object, keys: Array<string>) {
  * Attempt to create an observer instance for a value,
  * returns the new observer if successfully observed,
  * or the existing observer if the value already has one.
+ * A shallow observer only makes the value's own keys reactive.
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean
+): Observer | void {
   if (!isObject(value) || value instanceof VNode) {
     return
   }
@@ -117,11 +201,13 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isCollection(value) || isObservableObject(value)) &&
     Object.isExtensible(value) &&
-    !value._isVue
+    !value._isVue &&
+    !value.__v_skip &&
+    !isReadonly(value)
   ) {
-    ob = new Observer(value)
+    ob = new Observer(value, shallow)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -149,7 +235,9 @@ export function defineReactive (
   // cater for pre-defined getter/setters
   const getter = property && property.get
   const setter = property && property.set
-  if ((!getter || setter) && arguments.length === 2) {
+  if ((!getter || setter) &&
+    (val === NO_INITIAL_VALUE || arguments.length === 2)
+  ) {
     val = obj[key]
   }
 
@@ -160,7 +248,15 @@ export function defineReactive (
     get: function reactiveGetter () {
       const value = getter ? getter.call(obj) : val
       if (Dep.target) {
-        dep.depend()
+        if (process.env.NODE_ENV !== 'production') {
+          dep.depend({
+            target: obj,
+            type: TrackOpTypes.GET,
+            key
+          })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           childOb.dep.depend()
           if (Array.isArray(value)) {
@@ -168,7 +264,7 @@ export function defineReactive (
           }
         }
       }
-      return value
+      return toReactive(value)
     },
     set: function reactiveSetter (newVal) {
       const value = getter ? getter.call(obj) : val
@@ -188,7 +284,17 @@ export function defineReactive (
         val = newVal
       }
       childOb = !shallow && observe(newVal)
-      dep.notify()
+      if (process.env.NODE_ENV !== 'production') {
+        dep.notify({
+          type: TriggerOpTypes.SET,
+          target: obj,
+          key,
+          newValue: newVal,
+          oldValue: value
+        })
+      } else {
+        dep.notify()
+      }
     }
   })
 }
@@ -204,18 +310,26 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    readonlyWriteFailed(`Set operation on key "${key}" failed: target is readonly.`)
+    return val
+  }
   // 如果是数组，且键是合法的 index，通过包装过的 splice 插入数组
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.length = Math.max(target.length, key)
     target.splice(key, 1, val)
     return val
   }
+  const ob = (target: any).__ob__
   // 如果是响应式对象并且键已经在对象上了就直接赋值，响应式对象会触发 set 方法
   if (key in target && !(key in Object.prototype)) {
-    target[key] = val
+    if (ob && ob.proxy) {
+      ob.proxy[key] = val
+    } else {
+      target[key] = val
+    }
     return val
   }
-  const ob = (target: any).__ob__
   if (target._isVue || (ob && ob.vmCount)) {
     process.env.NODE_ENV !== 'production' && warn(
       'Avoid adding reactive properties to a Vue instance or its root $data ' +
@@ -226,12 +340,29 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   // 如果 target 不是一个响应式对象的话(单纯的是一个普通对象)，就直接赋值给此对象
   if (!ob) {
     target[key] = val
+    syncReadonlyView(target)
+    return val
+  }
+  // proxy 模式下通过 proxy 赋值即可触发通知
+  if (ob.proxy) {
+    ob.proxy[key] = val
     return val
   }
   // 如果 target 是响应式对象，并且键不在对象上，就将此键定义成响应式的
-  defineReactive(ob.value, key, val)
+  defineReactive(ob.value, key, val, undefined, ob.shallow)
+  syncReadonlyView(target)
   // 并触发通知
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      type: TriggerOpTypes.ADD,
+      target,
+      key,
+      newValue: val,
+      oldValue: undefined
+    })
+  } else {
+    ob.dep.notify()
+  }
   return val
 }
 
@@ -244,6 +375,10 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  if (isReadonly(target)) {
+    readonlyWriteFailed(`Delete operation on key "${key}" failed: target is readonly.`)
+    return
+  }
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
     return
@@ -259,18 +394,31 @@ export function del (target: Array<any> | Object, key: any) {
   if (!hasOwn(target, key)) {
     return
   }
+  if (ob && ob.proxy) {
+    delete ob.proxy[key]
+    return
+  }
   delete target[key]
+  syncReadonlyView(target)
   if (!ob) {
     return
   }
-  ob.dep.notify()
+  if (process.env.NODE_ENV !== 'production') {
+    ob.dep.notify({
+      type: TriggerOpTypes.DELETE,
+      target,
+      key
+    })
+  } else {
+    ob.dep.notify()
+  }
 }
 
 /**
  * Collect dependencies on array elements when the array is touched, since
  * we cannot intercept array element access like property getters.
  */
-function dependArray (value: Array<any>) {
+export function dependArray (value: Array<any>) {
   for (let e, i = 0, l = value.length; i < l; i++) {
     e = value[i]
     e && e.__ob__ && e.__ob__.dep.depend()
@@ -279,3 +427,21 @@ function dependArray (value: Array<any>) {
     }
   }
 }
+
+/**
+ * Return the original object behind a reactive proxy.
+ * Values that are not proxies are returned as-is.
+ */
+export function toRaw<T> (value: T): T {
+  const ob = value && (value: any).__ob__
+  return ob instanceof Observer ? ob.value : value
+}
+
+/**
+ * Return the proxy of an observed value in proxy reactivity mode.
+ * Values without a proxy are returned as-is.
+ */
+export function toReactive<T> (value: T): T {
+  const ob = value && (value: any).__ob__
+  return ob instanceof Observer && ob.proxy ? ob.proxy : value
+}
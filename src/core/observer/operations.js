@@ -0,0 +1,17 @@
+/* @flow */
+
+// operation types reported to onTrack / onTrigger debugger hooks
+
+export const TrackOpTypes = {
+  GET: 'get',
+  HAS: 'has',
+  ITERATE: 'iterate'
+}
+
+export const TriggerOpTypes = {
+  SET: 'set',
+  ADD: 'add',
+  DELETE: 'delete',
+  CLEAR: 'clear',
+  ARRAY_MUTATION: 'array mutation'
+}
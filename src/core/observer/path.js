@@ -0,0 +1,68 @@
+/* @flow */
+
+import { set, del } from './index'
+import {
+  warn,
+  isObject,
+  isValidArrayIndex,
+  parsePathSegments
+} from '../util/index'
+
+/**
+ * Set a nested property by path, e.g. `a.b[2].c`. Missing intermediate
+ * values are added as reactive properties: arrays when the next segment
+ * is an index, plain objects otherwise.
+ */
+export function setPath (target: Array<any> | Object, path: string, val: any): any {
+  const segments = getSegments(path, 'setPath')
+  if (!segments) {
+    return val
+  }
+  let obj: any = target
+  for (let i = 0; i < segments.length - 1; i++) {
+    const key = segments[i]
+    let next = obj[key]
+    if (next == null) {
+      set(obj, key, next = isValidArrayIndex(segments[i + 1]) ? [] : {})
+    } else if (!isObject(next)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Cannot set path "${path}": "${segments.slice(0, i + 1).join('.')}" ` +
+        `is a primitive value.`
+      )
+      return val
+    }
+    obj = next
+  }
+  return set(obj, segments[segments.length - 1], val)
+}
+
+/**
+ * Delete a nested property by path. Does nothing when part of the
+ * path is missing.
+ */
+export function deletePath (target: Array<any> | Object, path: string) {
+  const segments = getSegments(path, 'deletePath')
+  if (!segments) {
+    return
+  }
+  let obj: any = target
+  for (let i = 0; i < segments.length - 1; i++) {
+    obj = obj[segments[i]]
+    if (!isObject(obj)) {
+      return
+    }
+  }
+  del(obj, segments[segments.length - 1])
+}
+
+function getSegments (path: string, method: string): ?Array<string> {
+  const segments = parsePathSegments(path)
+  if (!segments || segments.indexOf('*') > -1) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid path "${path}" passed to Vue.${method}: only dot-delimited ` +
+      `paths with array indices are supported.`
+    )
+    return
+  }
+  return segments
+}
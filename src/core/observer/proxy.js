@@ -0,0 +1,170 @@
+/* @flow */
+
+import Dep from './dep'
+import { arrayMethods } from './array'
+import { observe, dependArray, toRaw } from './index'
+import { syncReadonlyView } from './readonly'
+import { TrackOpTypes, TriggerOpTypes } from './operations'
+import { hasOwn, isValidArrayIndex } from '../util/index'
+
+/**
+ * Traps used in proxy reactivity mode. Unlike getter/setters, these
+ * see every key, so adding or deleting properties, setting array
+ * indices and truncating arrays are all reactive without Vue.set.
+ *
+ * Every key of an object gets its own dep, created on first access.
+ * Arrays (and structural changes of objects) use the observer's dep,
+ * which is also what parent getters collect as the child dep.
+ */
+export const proxyHandlers = {
+  get (target: Object, key: any, receiver: any): any {
+    const value = Reflect.get(target, key, receiver)
+    if (isInternalKey(key)) {
+      return value
+    }
+    const isArray = Array.isArray(target)
+    // patched mutators notify on their own
+    if (isArray && hasOwn(arrayMethods, key)) {
+      return value
+    }
+    const ob = target.__ob__
+    if (Dep.target) {
+      const dep = isArray ? ob.dep : getKeyDep(ob, key)
+      if (process.env.NODE_ENV !== 'production') {
+        dep.depend({ target, type: TrackOpTypes.GET, key })
+      } else {
+        dep.depend()
+      }
+    }
+    if (ob.shallow) {
+      return value
+    }
+    const childOb = observe(value)
+    if (!childOb) {
+      return value
+    }
+    if (Dep.target) {
+      childOb.dep.depend()
+      if (Array.isArray(value)) {
+        dependArray(value)
+      }
+    }
+    return childOb.proxy || value
+  },
+
+  set (target: Object, key: any, value: any, receiver: any): boolean {
+    if (isInternalKey(key)) {
+      return Reflect.set(target, key, value, receiver)
+    }
+    // accessors of class instances run against the proxy, so the
+    // writes they make notify on their own
+    if (isPrototypeAccessor(target, key)) {
+      return Reflect.set(target, key, value, receiver)
+    }
+    const ob = target.__ob__
+    const isArray = Array.isArray(target)
+    const oldLength = isArray ? target.length : 0
+    const hadKey = isArray && isValidArrayIndex(key)
+      ? Number(key) < oldLength
+      : hasOwn(target, key)
+    const oldValue = target[key]
+    // store raw values so that an object is never reachable
+    // both through its proxy and directly
+    const result = Reflect.set(target, key, toRaw(value), receiver)
+    const changed = isArray && key === 'length'
+      ? target.length !== oldLength
+      : !hadKey || hasChanged(toRaw(value), oldValue)
+    if (result && changed) {
+      const info = process.env.NODE_ENV !== 'production'
+        ? {
+          target,
+          type: hadKey ? TriggerOpTypes.SET : TriggerOpTypes.ADD,
+          key,
+          newValue: value,
+          oldValue
+        }
+        : undefined
+      if (isArray) {
+        ob.dep.notify(info)
+      } else {
+        const dep = ob.keyDeps[key]
+        if (dep) dep.notify(info)
+        if (!hadKey) ob.dep.notify(info)
+      }
+      if (isArray || !hadKey) {
+        syncReadonlyView(target)
+      }
+    }
+    return result
+  },
+
+  deleteProperty (target: Object, key: any): boolean {
+    const hadKey = hasOwn(target, key)
+    const result = Reflect.deleteProperty(target, key)
+    if (result && hadKey && !isInternalKey(key)) {
+      const ob = target.__ob__
+      const info = process.env.NODE_ENV !== 'production'
+        ? { target, type: TriggerOpTypes.DELETE, key }
+        : undefined
+      const dep = ob.keyDeps[key]
+      if (dep) dep.notify(info)
+      ob.dep.notify(info)
+      syncReadonlyView(target)
+    }
+    return result
+  },
+
+  has (target: Object, key: any): boolean {
+    if (Dep.target && !isInternalKey(key)) {
+      const ob = target.__ob__
+      const dep = Array.isArray(target) ? ob.dep : getKeyDep(ob, key)
+      if (process.env.NODE_ENV !== 'production') {
+        dep.depend({ target, type: TrackOpTypes.HAS, key })
+      } else {
+        dep.depend()
+      }
+    }
+    return Reflect.has(target, key)
+  },
+
+  ownKeys (target: Object): Array<any> {
+    if (Dep.target) {
+      if (process.env.NODE_ENV !== 'production') {
+        target.__ob__.dep.depend({ target, type: TrackOpTypes.ITERATE })
+      } else {
+        target.__ob__.dep.depend()
+      }
+    }
+    return Reflect.ownKeys(target)
+  }
+}
+
+function getKeyDep (ob: Object, key: string): Dep {
+  return ob.keyDeps[key] || (ob.keyDeps[key] = new Dep())
+}
+
+function isInternalKey (key: any): boolean {
+  // symbols are the only non-string keys
+  return typeof key !== 'string' || key === '__ob__' || key.indexOf('__v_') === 0
+}
+
+function isPrototypeAccessor (target: Object, key: string): boolean {
+  if (hasOwn(target, key)) {
+    return false
+  }
+  let proto = Object.getPrototypeOf(target)
+  while (proto && proto !== Object.prototype) {
+    const desc = Object.getOwnPropertyDescriptor(proto, key)
+    if (desc) {
+      return !!(desc.get || desc.set)
+    }
+    proto = Object.getPrototypeOf(proto)
+  }
+  return false
+}
+
+function hasChanged (value: any, oldValue: any): boolean {
+  /* eslint-disable no-self-compare */
+  return !(value === oldValue || (value !== value && oldValue !== oldValue))
+  /* eslint-enable no-self-compare */
+}
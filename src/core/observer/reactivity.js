@@ -0,0 +1,154 @@
+/* @flow */
+
+import Dep from './dep'
+import Watcher from './watcher'
+import { observe, defineReactive, toReactive } from './index'
+import {
+  def,
+  warn,
+  noop,
+  isServerRendering
+} from '../util/index'
+
+export type Ref<T> = { value: T };
+
+/**
+ * Make an object or array deeply reactive in place. In proxy
+ * reactivity mode the returned proxy must be used instead.
+ */
+export function reactive<T> (target: T): T {
+  if (!observe(target) && process.env.NODE_ENV !== 'production' &&
+    !isServerRendering()
+  ) {
+    warn(`value cannot be made reactive: ${String(target)}`)
+  }
+  return toReactive(target)
+}
+
+/**
+ * Make only the top-level keys of an object (or the items of an array)
+ * reactive, leaving nested values untouched.
+ */
+export function shallowReactive<T> (target: T): T {
+  if (!observe(target, false, true) && process.env.NODE_ENV !== 'production' &&
+    !isServerRendering()
+  ) {
+    warn(`value cannot be made reactive: ${String(target)}`)
+  }
+  return toReactive(target)
+}
+
+/**
+ * Mark an object so that it is never made reactive, nor anything
+ * nested inside it. Objects that are reactive already are unaffected.
+ */
+export function markRaw<T: Object> (value: T): T {
+  if (Object.isExtensible(value)) {
+    def(value, '__v_skip', true)
+  }
+  return value
+}
+
+/**
+ * Wrap a value in a reactive container exposing a single `value`
+ * property. Objects assigned to it are made deeply reactive.
+ */
+export function ref<T> (value: T): Ref<T> {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r: any = {}
+  def(r, '__v_isRef', true)
+  defineReactive(r, 'value', value)
+  return r
+}
+
+export function isRef (r: any): boolean {
+  return !!(r && r.__v_isRef === true)
+}
+
+/**
+ * Create a lazily evaluated, cached ref backed by a computed watcher.
+ * Passing `{ get, set }` makes the computed writable.
+ */
+export function computed<T> (
+  getterOrOptions: (() => T) | { get: () => T, set: (value: T) => void },
+  debugOptions?: ?Object
+): Ref<T> {
+  let getter, setter
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => { warn('Write operation failed: computed value is readonly') }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set
+  }
+
+  // computed values are just getters during SSR
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, {
+      lazy: true,
+      onTrack: debugOptions && debugOptions.onTrack,
+      onTrigger: debugOptions && debugOptions.onTrigger
+    })
+
+  const r: any = {}
+  def(r, '__v_isRef', true)
+  def(r, 'effect', watcher)
+  // flow has problems with directly declared definition objects,
+  // so build it up procedurally
+  const valueDef = {}
+  valueDef.enumerable = true
+  valueDef.configurable = true
+  valueDef.get = function computedGetter () {
+    if (watcher) {
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    }
+    return getter()
+  }
+  valueDef.set = setter
+  Object.defineProperty(r, 'value', valueDef)
+  return r
+}
+
+/**
+ * Run a function immediately and re-run it whenever its reactive
+ * dependencies change. Effects run synchronously by default; pass
+ * `{ sync: false }` to batch re-runs through the scheduler like watchers.
+ * Returns a runner that re-runs the effect on demand.
+ */
+export function effect (fn: Function, options?: ?Object): Function {
+  const watcher = new Watcher(null, fn, noop, {
+    user: true,
+    sync: !options || options.sync !== false,
+    onTrack: options && options.onTrack,
+    onTrigger: options && options.onTrigger
+  })
+  const runner: any = () => {
+    if (!watcher.active) {
+      return fn()
+    }
+    watcher.run()
+    return watcher.value
+  }
+  runner.effect = watcher
+  return runner
+}
+
+/**
+ * Stop an effect runner (or computed ref) from reacting to changes.
+ */
+export function stop (runner: Object) {
+  if (runner.effect) {
+    runner.effect.teardown()
+  }
+}
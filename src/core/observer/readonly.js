@@ -0,0 +1,288 @@
+/* @flow */
+
+import config from '../config'
+import Dep from './dep'
+import { readonlyArrayMethods } from './array'
+import { isCollection } from './collection'
+import { toRaw, toReactive } from './index'
+import {
+  def,
+  warn,
+  hasOwn,
+  hasProto,
+  hasProxy,
+  hasSymbol,
+  toRawType,
+  isPlainObject
+} from '../util/index'
+
+const rawToReadonlyFlag = '__v_rawToReadonly'
+
+// whether a view is being brought in line with its target
+let syncing = false
+
+// views are backed by a proxy where available, so that writes to
+// keys the view does not have (including an array's length) are
+// rejected as well
+const readonlyViewHandlers = {
+  set (view: any, key: any, value: any, receiver: any): boolean {
+    const property = Object.getOwnPropertyDescriptor(view, key)
+    if (syncing || (property && property.set)) {
+      return Reflect.set(view, key, value, receiver)
+    }
+    readonlyWriteFailed(`Set operation on key "${String(key)}" failed: target is readonly.`)
+    return true
+  },
+  deleteProperty (view: any, key: any): boolean {
+    if (syncing) {
+      return Reflect.deleteProperty(view, key)
+    }
+    readonlyWriteFailed(`Delete operation on key "${String(key)}" failed: target is readonly.`)
+    return true
+  },
+  defineProperty (view: any, key: any, property: Object): boolean {
+    if (syncing) {
+      return Reflect.defineProperty(view, key, property)
+    }
+    readonlyWriteFailed(`Define operation on key "${String(key)}" failed: target is readonly.`)
+    return true
+  }
+}
+
+export function isReadonly (value: any): boolean {
+  return !!(value && value.__v_isReadonly)
+}
+
+/**
+ * Report a rejected write to a readonly view. Throws when
+ * `config.strict` is enabled, otherwise warns in development.
+ */
+export function readonlyWriteFailed (msg: string) {
+  if (config.strict) {
+    throw new TypeError(msg)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(msg)
+  }
+}
+
+const readonlyMapMethods = typeof Map !== 'undefined'
+  ? createReadonlyCollectionMethods(Map.prototype, true)
+  : null
+
+const readonlySetMethods = typeof Set !== 'undefined'
+  ? createReadonlyCollectionMethods(Set.prototype, false)
+  : null
+
+/**
+ * Create a deep readonly view of an object, array, Map or Set. The view reads
+ * through to the original, so reads are still tracked when the
+ * original is reactive, while writes to the view (including nested
+ * objects and arrays read from it) are rejected. The original stays
+ * writable.
+ *
+ * Without Proxy support, the view is made non-extensible instead, so
+ * that adding keys fails. Keys added to the original later, or array
+ * elements beyond its length at that time, are not reflected then,
+ * and assigning the length of an array view is not rejected.
+ */
+export function readonly<T> (target: T): T {
+  const t: any = toRaw(target)
+  if (isReadonly(t)) {
+    return target
+  }
+  if (!Array.isArray(t) && !isPlainObject(t) && !isCollection(t)) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(`value cannot be made readonly: ${String(t)}`)
+    }
+    return target
+  }
+  // frozen objects are readonly already
+  if (!Object.isExtensible(t)) {
+    return target
+  }
+  if (hasOwn(t, rawToReadonlyFlag)) {
+    return t[rawToReadonlyFlag]
+  }
+
+  let view: any
+  if (isCollection(t)) {
+    // the entries of a collection are read through its methods
+    view = Object.create((toRawType(t) === 'Map' ? readonlyMapMethods : readonlySetMethods: any))
+    def(view, '__v_isReadonly', true)
+    def(view, '__v_raw', t)
+    def(t, rawToReadonlyFlag, view)
+    return (view: any)
+  } else if (Array.isArray(t)) {
+    view = ([]: any)
+    if (hasProto) {
+      /* eslint-disable no-proto */
+      view.__proto__ = readonlyArrayMethods
+      /* eslint-enable no-proto */
+    } else {
+      Object.getOwnPropertyNames(readonlyArrayMethods).forEach(method => {
+        def(view, method, readonlyArrayMethods[method])
+      })
+    }
+  } else {
+    view = Object.create(Object.getPrototypeOf(t))
+  }
+  def(view, '__v_isReadonly', true)
+  def(view, '__v_raw', t)
+  if (hasProxy) {
+    view = new Proxy(view, readonlyViewHandlers)
+  }
+  def(t, rawToReadonlyFlag, view)
+  syncReadonlyView(t)
+  if (!hasProxy) {
+    Object.preventExtensions(view)
+  }
+  return (view: any)
+}
+
+/**
+ * Bring the readonly view of a target (if any) in line with the
+ * target's current keys or length. Called after structural changes.
+ */
+export function syncReadonlyView (target: any) {
+  if (!hasOwn(target, rawToReadonlyFlag)) {
+    return
+  }
+  const view = target[rawToReadonlyFlag]
+  // see readonly() for views that cannot be extended
+  const extensible = Object.isExtensible(view)
+  syncing = true
+  try {
+    if (Array.isArray(target)) {
+      const length = target.length
+      if (view.length > length) {
+        view.length = length
+      }
+      for (let i = view.length; extensible && i < length; i++) {
+        defineReadonlyIndex(view, target, i)
+      }
+    } else {
+      const keys = Object.keys(target)
+      for (let i = 0; extensible && i < keys.length; i++) {
+        if (!hasOwn(view, keys[i])) {
+          defineReadonlyProperty(view, target, keys[i])
+        }
+      }
+      const viewKeys = Object.keys(view)
+      for (let i = 0; i < viewKeys.length; i++) {
+        if (!hasOwn(target, viewKeys[i])) {
+          delete view[viewKeys[i]]
+        }
+      }
+    }
+  } finally {
+    syncing = false
+  }
+}
+
+function defineReadonlyProperty (view: Object, target: Object, key: string) {
+  const property = {}
+  property.enumerable = true
+  property.configurable = true
+  property.get = function readonlyGetter () {
+    return toReadonly(toReactive(target)[key])
+  }
+  property.set = function readonlySetter () {
+    readonlyWriteFailed(`Set operation on key "${key}" failed: target is readonly.`)
+  }
+  Object.defineProperty(view, key, property)
+}
+
+function defineReadonlyIndex (view: Array<any>, target: Array<any>, index: number) {
+  const property = {}
+  property.enumerable = true
+  property.configurable = true
+  property.get = function readonlyGetter () {
+    // array elements are not tracked individually, depend on the
+    // array itself like a reactive getter would
+    const ob = (target: any).__ob__
+    if (Dep.target && ob) {
+      ob.dep.depend()
+    }
+    return toReadonly(toReactive(target)[index])
+  }
+  property.set = function readonlySetter () {
+    readonlyWriteFailed(`Set operation on index ${index} failed: target is readonly.`)
+  }
+  Object.defineProperty(view, String(index), property)
+}
+
+function toReadonly (value: any): any {
+  return Array.isArray(value) || isPlainObject(value) || isCollection(value)
+    ? readonly(value)
+    : value
+}
+
+/**
+ * Methods of readonly Map and Set views. Reads go through the methods
+ * of the original, so they are tracked when it is reactive, and hand
+ * out readonly views of the entries. Mutations are rejected.
+ */
+function createReadonlyCollectionMethods (proto: any, isMap: boolean): Object {
+  const methods = Object.create(proto)
+  const type = isMap ? 'Map' : 'Set'
+  const getTarget = (view: any): any => toReactive(view.__v_raw)
+
+  if (isMap) {
+    def(methods, 'get', function get (key) {
+      return toReadonly(getTarget(this).get(key))
+    })
+  }
+
+  def(methods, 'has', function has (key) {
+    return getTarget(this).has(key)
+  })
+
+  const size = {}
+  size.configurable = true
+  size.get = function getSize () {
+    return getTarget(this).size
+  }
+  Object.defineProperty(methods, 'size', size)
+
+  def(methods, 'forEach', function forEach (cb: Function, thisArg?: any) {
+    const view = this
+    getTarget(this).forEach((value, key) => {
+      cb.call(thisArg, toReadonly(value), toReadonly(key), view)
+    })
+  })
+
+  const iterationMethods: Array<any> = ['keys', 'values', 'entries']
+  if (hasSymbol) iterationMethods.push(Symbol.iterator)
+  iterationMethods.forEach(method => {
+    // whether the iterator yields [key, value] pairs
+    const isPair = method === 'entries' || (isMap && method !== 'keys' && method !== 'values')
+    def(methods, method, function iterate () {
+      const iterator = getTarget(this)[method]()
+      const wrapped: any = {
+        next () {
+          const result = iterator.next()
+          if (!result.done) {
+            result.value = isPair
+              ? [toReadonly(result.value[0]), toReadonly(result.value[1])]
+              : toReadonly(result.value)
+          }
+          return result
+        }
+      }
+      if (hasSymbol) {
+        wrapped[Symbol.iterator] = function () { return this }
+      }
+      return wrapped
+    })
+  })
+
+  const mutations = [isMap ? 'set' : 'add', 'delete', 'clear']
+  mutations.forEach(method => {
+    def(methods, method, function readonlyMutator () {
+      readonlyWriteFailed(`${type} method "${method}" failed: target is readonly.`)
+      return method === 'delete' ? false : method === 'clear' ? undefined : this
+    })
+  })
+
+  return methods
+}
@@ -1,12 +1,17 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
+  formatComponentName,
+  generateComponentTrace,
   nextTick,
+  holdCallbacks,
+  releaseCallbacks,
   devtools,
   inBrowser,
   isIE
@@ -14,10 +19,18 @@ import {
 
 export const MAX_UPDATE_COUNT = 100
 
+type Trigger = {
+  watcher: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
+
 const queue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+// dev only: what re-queued each watcher during the current flush
+let triggers: { [key: number]: Trigger } = {}
+let runningWatcher: ?Watcher = null
 let waiting = false
 let flushing = false
 let index = 0
@@ -30,6 +43,7 @@ function resetSchedulerState () {
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
+    triggers = {}
   }
   waiting = flushing = false
 }
@@ -65,13 +79,31 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Order of watchers in the queue: by id, except that 'pre' watchers run
+ * right before their component's render watcher even when created after
+ * it, and 'post' watchers run after all others.
+ */
+function compareWatchers (a: Watcher, b: Watcher): number {
+  if (a.post !== b.post) {
+    return a.post ? 1 : -1
+  }
+  return getSortId(a) - getSortId(b) || a.id - b.id
+}
+
+function getSortId (watcher: Watcher): number {
+  const renderWatcher = watcher.pre && watcher.vm && watcher.vm._watcher
+  return renderWatcher && renderWatcher.id < watcher.id
+    ? renderWatcher.id - 0.5
+    : watcher.id
+}
+
 /**
  * Flush both queues and run the watchers.
  */
 function flushSchedulerQueue () {
   currentFlushTimestamp = getNow()
   flushing = true
-  let watcher, id
 
   // Sort queue before flush.
   // This ensures that:
@@ -81,33 +113,69 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
-  queue.sort((a, b) => a.id - b.id)
+  // Watchers with flush 'pre' or 'post' are moved accordingly.
+  queue.sort(compareWatchers)
+
+  index = 0
+  runQueue()
+}
+
+/**
+ * Run queued watchers starting at the current index. With a flush
+ * budget, yields to the browser once the budget is spent and resumes
+ * with the next watcher in a new task. Watchers queued in between are
+ * still inserted in id order, so parents keep updating before children,
+ * and nextTick callbacks wait until the whole queue has been run.
+ */
+function runQueue () {
+  const budget = config.async ? config.flushBudget : 0
+  const deadline = budget > 0 ? getNow() + budget : 0
+  let watcher, id
 
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
-  for (index = 0; index < queue.length; index++) {
+  for (; index < queue.length; index++) {
     watcher = queue[index]
-    if (watcher.before) {
-      watcher.before()
-    }
     id = watcher.id
-    has[id] = null
-    watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
+    // in dev build, check and stop circular updates. Counting re-runs
+    // rather than self re-queues also catches watchers that keep
+    // re-queueing each other.
+    if (process.env.NODE_ENV !== 'production') {
+      circular[id] = circular[id] == null ? 0 : circular[id] + 1
       if (circular[id] > MAX_UPDATE_COUNT) {
         warn(
           'You may have an infinite update loop ' + (
             watcher.user
               ? `in watcher with expression "${watcher.expression}"`
               : `in a component render function.`
-          ),
+          ) + formatUpdateCycle(watcher),
           watcher.vm
         )
         break
       }
     }
+    // computed values with `equals` that notified it may be unchanged
+    if (watcher.checks && !watcher.checkTriggers()) {
+      has[id] = null
+      continue
+    }
+    if (watcher.before) {
+      watcher.before()
+    }
+    has[id] = null
+    if (process.env.NODE_ENV !== 'production') {
+      runningWatcher = watcher
+      watcher.run()
+      runningWatcher = null
+    } else {
+      watcher.run()
+    }
+    if (deadline && index < queue.length - 1 && getNow() >= deadline) {
+      // index still points at the last run watcher while yielding
+      holdCallbacks()
+      setTimeout(resumeQueue, 0)
+      return
+    }
   }
 
   // keep copies of post queues before resetting state
@@ -125,6 +193,68 @@ function flushSchedulerQueue () {
   if (devtools && config.devtools) {
     devtools.emit('flush')
   }
+
+  releaseCallbacks()
+}
+
+/**
+ * Describe the chain of watchers that kept re-queueing each other,
+ * starting from the watcher that exceeded the update limit.
+ */
+function formatUpdateCycle (watcher: Watcher): string {
+  const steps: Array<{
+    watcher: Watcher,
+    info: ?DebuggerEventExtraInfo,
+    target: Watcher
+  }> = []
+  const seen = {}
+  let current = watcher
+  while (!seen[current.id]) {
+    seen[current.id] = true
+    const trigger = triggers[current.id]
+    const source = trigger && trigger.watcher
+    if (!source) break
+    steps.unshift({ watcher: source, info: trigger.info, target: current })
+    current = source
+  }
+  if (!steps.length) {
+    return ''
+  }
+  return '\n\nUpdate cycle:\n' + steps
+    .map(({ watcher, info, target }, i) => {
+      const vm = watcher.vm
+      const trace = vm && vm._isVue
+        ? '\n' + generateComponentTrace(vm)
+          .replace(/^\s*found in\s*/, '')
+          .trim()
+          .replace(/^/gm, '     ')
+        : ''
+      return `  ${i + 1}. ${describeWatcher(watcher)} ${describeChange(info)}, ` +
+        `re-queueing ${describeWatcher(target)}${trace}`
+    })
+    .join('\n')
+}
+
+function describeWatcher (watcher: Watcher): string {
+  const vm = watcher.vm
+  if (vm && vm._watcher === watcher) {
+    return `render function of ${formatComponentName(vm, false)}`
+  }
+  return `watcher with expression "${watcher.expression}"`
+}
+
+function describeChange (info: ?DebuggerEventExtraInfo): string {
+  if (!info) {
+    return 'triggered an update'
+  }
+  return info.key !== undefined
+    ? `triggered "${info.type}" on key "${String(info.key)}"`
+    : `triggered "${info.type}"`
+}
+
+function resumeQueue () {
+  index++
+  runQueue()
 }
 
 function callUpdatedHooks (queue) {
@@ -134,7 +264,7 @@ function callUpdatedHooks (queue) {
     const vm = watcher.vm;
     // vm._watcher === watcher 如果相等则表明当前的 watcher 是一个渲染 watcher
     // _isMounted 是挂载的时候赋值的，也就是说首次渲染会执行 mounted钩子，再次重新渲染的时候才会执行 updated钩子
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, "updated");
     }
   }
@@ -163,10 +293,13 @@ function callActivatedHooks (queue) {
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
   if (has[id] == null) {
     has[id] = true
+    if (process.env.NODE_ENV !== 'production' && flushing) {
+      triggers[id] = { watcher: runningWatcher, info }
+    }
     if (!flushing) {
       queue.push(watcher)
     } else {
@@ -175,7 +308,7 @@ export function queueWatcher (watcher: Watcher) {
       let i = queue.length - 1
       // queue 已经经过 sort 从小到大排序了
       // 当 watcher.id 大于 当前队列中的 watcher.id 时，结束循环
-      while (i > index && queue[i].id > watcher.id) {
+      while (i > index && compareWatchers(queue[i], watcher) > 0) {
         i--
       }
       queue.splice(i + 1, 0, watcher)
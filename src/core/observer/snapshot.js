@@ -0,0 +1,180 @@
+/* @flow */
+
+import { batch } from './batch'
+import { pushTarget, popTarget } from './dep'
+import { set, del, toRaw } from './index'
+import { warn, hasOwn, toRawType, isPlainObject } from '../util/index'
+
+/**
+ * Create a deep, non-reactive copy of (reactive) state. Plain objects,
+ * arrays, Maps and Sets are copied, anything else is kept by reference.
+ * Reading the state does not collect dependencies.
+ */
+export function snapshot<T> (value: T): T {
+  pushTarget()
+  try {
+    return clone(value, [])
+  } finally {
+    popTarget()
+  }
+}
+
+/**
+ * Apply a snapshot back onto reactive state. Nested objects are updated
+ * in place and only keys whose values differ are set, so watchers of
+ * unchanged state are not notified. Watchers run once after the whole
+ * snapshot has been applied.
+ */
+export function restore<T> (target: T, snap: T) {
+  if (process.env.NODE_ENV !== 'production' && !canRestore(target, snap)) {
+    warn(
+      `Cannot restore a snapshot of type ${toRawType(snap)} ` +
+      `onto a value of type ${toRawType(target)}.`
+    )
+    return
+  }
+  pushTarget()
+  try {
+    batch(() => restoreValue(toRaw(target), snap))
+  } finally {
+    popTarget()
+  }
+}
+
+function clone (value: any, ancestors: Array<any>): any {
+  const raw = toRaw(value)
+  const type = getCloneableType(raw)
+  if (!type) {
+    return value
+  }
+  if (ancestors.indexOf(raw) > -1) {
+    process.env.NODE_ENV !== 'production' && warn(
+      'Cannot snapshot circular structures, the circular reference is left out.'
+    )
+    return undefined
+  }
+  ancestors.push(raw)
+  let copy
+  if (type === 'Array') {
+    copy = raw.map(item => clone(item, ancestors))
+  } else if (type === 'Map') {
+    const map = copy = new Map()
+    raw.forEach((item, key) => { map.set(key, clone(item, ancestors)) })
+  } else if (type === 'Set') {
+    const set = copy = new Set()
+    raw.forEach(item => { set.add(clone(item, ancestors)) })
+  } else {
+    copy = {}
+    const keys = Object.keys(raw)
+    for (let i = 0; i < keys.length; i++) {
+      copy[keys[i]] = clone(raw[keys[i]], ancestors)
+    }
+  }
+  ancestors.pop()
+  return copy
+}
+
+function restoreValue (raw: any, snap: any) {
+  const type = getCloneableType(raw)
+  if (type === 'Array') {
+    restoreArray(raw, snap)
+  } else if (type === 'Map') {
+    restoreMap(raw, snap)
+  } else if (type === 'Set') {
+    restoreSet(raw, snap)
+  } else {
+    restoreObject(raw, snap)
+  }
+}
+
+function restoreObject (raw: Object, snap: Object) {
+  const keys = Object.keys(raw)
+  for (let i = 0; i < keys.length; i++) {
+    if (!hasOwn(snap, keys[i])) {
+      del(raw, keys[i])
+    }
+  }
+  const snapKeys = Object.keys(snap)
+  for (let i = 0; i < snapKeys.length; i++) {
+    const key = snapKeys[i]
+    const current = hasOwn(raw, key) ? toRaw(raw[key]) : undefined
+    if (hasOwn(raw, key) && canRestore(current, snap[key])) {
+      restoreValue(current, snap[key])
+    } else if (!hasOwn(raw, key) || !isSame(current, snap[key])) {
+      set(raw, key, clone(snap[key], []))
+    }
+  }
+}
+
+// arrays are updated with a single splice when any item has to be
+// replaced or the length differs
+function restoreArray (raw: Array<any>, snap: Array<any>) {
+  let changed = raw.length !== snap.length
+  const items = []
+  for (let i = 0; i < snap.length; i++) {
+    const current = i < raw.length ? toRaw(raw[i]) : undefined
+    if (i < raw.length && canRestore(current, snap[i])) {
+      restoreValue(current, snap[i])
+      items.push(current)
+    } else if (i < raw.length && isSame(current, snap[i])) {
+      items.push(current)
+    } else {
+      items.push(clone(snap[i], []))
+      changed = true
+    }
+  }
+  if (changed) {
+    raw.splice(0, raw.length, ...items)
+  }
+}
+
+function restoreMap (raw: any, snap: any) {
+  const staleKeys = []
+  raw.forEach((item, key) => {
+    if (!snap.has(toRaw(key))) staleKeys.push(toRaw(key))
+  })
+  staleKeys.forEach(key => raw.delete(key))
+  snap.forEach((item, key) => {
+    const current = toRaw(raw.get(key))
+    if (raw.has(key) && canRestore(current, item)) {
+      restoreValue(current, item)
+    } else if (!raw.has(key) || !isSame(current, item)) {
+      raw.set(key, clone(item, []))
+    }
+  })
+}
+
+// set items are compared by identity, so object items of a set are
+// always replaced by copies from the snapshot
+function restoreSet (raw: any, snap: any) {
+  const staleItems = []
+  raw.forEach(item => {
+    if (!snap.has(toRaw(item))) staleItems.push(toRaw(item))
+  })
+  staleItems.forEach(item => raw.delete(item))
+  snap.forEach(item => {
+    if (!raw.has(item)) raw.add(clone(item, []))
+  })
+}
+
+function getCloneableType (value: any): ?string {
+  if (Array.isArray(value)) {
+    return 'Array'
+  }
+  if (isPlainObject(value)) {
+    return 'Object'
+  }
+  const type = toRawType(value)
+  return type === 'Map' || type === 'Set' ? type : null
+}
+
+function canRestore (current: any, snap: any): boolean {
+  const type = getCloneableType(toRaw(current))
+  return !!type && type === getCloneableType(snap)
+}
+
+function isSame (value: any, other: any): boolean {
+  /* eslint-disable no-self-compare */
+  return value === other || (value !== value && other !== other)
+  /* eslint-enable no-self-compare */
+}
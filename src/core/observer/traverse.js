@@ -3,38 +3,51 @@
 import { _Set as Set, isObject } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
 
 const seenObjects = new Set()
 
 /**
  * Recursively traverse an object to evoke all converted
  * getters, so that every nested property inside the object
- * is collected as a "deep" dependency.
+ * is collected as a "deep" dependency. A finite depth limits
+ * how many levels of nested properties are collected.
  */
-export function traverse (val: any) {
-  _traverse(val, seenObjects)
+export function traverse (val: any, depth?: number = Infinity) {
+  _traverse(val, seenObjects, depth)
   seenObjects.clear()
 }
 
-function _traverse (val: any, seen: SimpleSet) {
+function _traverse (val: any, seen: SimpleSet, depth: number) {
   let i, keys
   const isA = Array.isArray(val)
-  if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
+  if (
+    depth <= 0 ||
+    (!isA && !isObject(val)) ||
+    Object.isFrozen(val) ||
+    val.__v_skip ||
+    val instanceof VNode
+  ) {
     return
   }
-  if (val.__ob__) {
+  // with a finite depth, an object may need to be traversed again when
+  // it is reached at a shallower level, and cycles end at the depth limit
+  if (depth === Infinity && val.__ob__) {
     const depId = val.__ob__.dep.id
     if (seen.has(depId)) {
       return
     }
     seen.add(depId)
   }
+  depth--
   if (isA) {
     i = val.length
-    while (i--) _traverse(val[i], seen)
+    while (i--) _traverse(val[i], seen, depth)
+  } else if (isCollection(val)) {
+    val.forEach(item => _traverse(item, seen, depth))
   } else {
     keys = Object.keys(val)
     i = keys.length
-    while (i--) _traverse(val[keys[i]], seen)
+    while (i--) _traverse(val[keys[i]], seen, depth)
   }
 }
@@ -5,16 +5,20 @@ import {
   remove,
   isObject,
   parsePath,
+  isWildcardPath,
   _Set as Set,
   handleError,
+  isPromise,
   noop
 } from '../util/index'
 
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
+import { recordEffectScope } from './effect-scope'
 import Dep, { pushTarget, popTarget } from './dep'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEventExtraInfo } from './dep'
 
 let uid = 0
 
@@ -24,14 +28,17 @@ let uid = 0
  * This is used for both the $watch() api and directives.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
-  deep: boolean;
+  deep: boolean | number; // a number limits the traversal depth
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  pre: boolean; // run before the owner component re-renders
+  post: boolean; // run after all components have been patched
+  multi: boolean; // watching an array of sources
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -39,57 +46,83 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  equals: ?(value: any, oldValue: any) => boolean;
+  dep: ?Dep; // own dep of lazy watchers with `equals` or `releaseIdle`
+  version: number; // bumped when the value of a watcher with `equals` changes
+  checks: ?Array<{ source: Watcher, version: number }>; // see checkTriggers
+  forceRun: boolean;
+  releaseIdle: boolean; // release dependencies while nothing depends on it
+  onTrack: ?Function;
+  onTrigger: ?Function;
   getter: Function;
   value: any;
 
   constructor (
-    vm: Component,
-    expOrFn: string | Function,
+    vm: ?Component,
+    expOrFn: string | Function | Array<string | Function>,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      // vm._watcher 是专门用来监听 vm 上数据变化然后重新渲染的，所以它是一个渲染相关的 watcher
-      vm._watcher = this;
+    if (vm) {
+      if (isRenderWatcher) {
+        // vm._watcher 是专门用来监听 vm 上数据变化然后重新渲染的，所以它是一个渲染相关的 watcher
+        vm._watcher = this;
+      }
+      vm._watchers.push(this)
     }
-    vm._watchers.push(this)
+    recordEffectScope(this)
     // options
     if (options) {
-      this.deep = !!options.deep
+      this.deep = typeof options.deep === 'number' ? options.deep : !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.pre = options.flush === 'pre'
+      this.post = options.flush === 'post'
       this.before = options.before
+      this.equals = options.equals
+      this.releaseIdle = !!(this.lazy && options.releaseIdle)
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.pre = this.post =
+        this.releaseIdle = false
     }
     this.cb = cb
     this.id = ++uid // uid for batching
     this.active = true
     this.dirty = this.lazy // for lazy watchers
+    this.version = 0
+    this.checks = null
+    this.forceRun = false
+    if (this.lazy && (this.equals || this.releaseIdle)) {
+      const dep = this.dep = new Dep()
+      dep.owner = this
+    }
     this.deps = []
     this.newDeps = []
     this.depIds = new Set()
     this.newDepIds = new Set()
+    // wildcard paths evaluate to arrays of values, like multiple sources
+    this.multi = Array.isArray(expOrFn) ||
+      (typeof expOrFn === 'string' && isWildcardPath(expOrFn))
     this.expression = process.env.NODE_ENV !== 'production'
-      ? expOrFn.toString()
+      ? Array.isArray(expOrFn)
+        ? `[${expOrFn.join(', ')}]`
+        : expOrFn.toString()
       : ''
     // parse expression for getter
-    if (typeof expOrFn === 'function') {
-      this.getter = expOrFn
-    } else {
-      this.getter = parsePath(expOrFn)
-      if (!this.getter) {
-        this.getter = noop
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    if (Array.isArray(expOrFn)) {
+      const getters = expOrFn.map(source => parseGetter(source, vm))
+      this.getter = function (obj) {
+        return getters.map(getter => getter.call(this, obj))
       }
+    } else {
+      this.getter = parseGetter(expOrFn, vm)
     }
     this.value = this.lazy
       ? undefined
@@ -118,7 +151,15 @@ export default class Watcher {
       // "touch" every property so they are all tracked as
       // dependencies for deep watching
       if (this.deep) {
-        traverse(value)
+        const depth = this.deep === true ? Infinity : this.deep
+        // the depth applies to each source of a multi-source watcher
+        if (this.multi && Array.isArray(value)) {
+          for (let i = 0; i < value.length; i++) {
+            traverse(value[i], depth)
+          }
+        } else {
+          traverse(value, depth)
+        }
       }
       // 恢复到上一个 watcher
       popTarget()
@@ -173,17 +214,67 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo, conditional?: boolean) {
     /* istanbul ignore else */
     if (this.lazy) {
       // computed watcher 走这边
       this.dirty = true
-    } else if (this.sync) {
-      this.run()
+      if (this.dep) this.dep.notify(info)
     } else {
-      // render watcher user watcher 走这边
-      queueWatcher(this)
+      if (!conditional) {
+        this.forceRun = true
+      }
+      if (this.sync) {
+        if (this.checkTriggers()) this.run()
+      } else {
+        // render watcher user watcher 走这边
+        queueWatcher(this, info)
+      }
+    }
+  }
+
+  /**
+   * Record a computed watcher with `equals` that notified this watcher.
+   * Lazy watchers with an `equals` comparator are depended on through
+   * their own dep rather than their dependencies.
+   */
+  addCheck (source: Watcher) {
+    const checks = this.checks || (this.checks = [])
+    for (let i = 0; i < checks.length; i++) {
+      if (checks[i].source === source) return
     }
+    checks.push({ source, version: source.version })
+  }
+
+  /**
+   * Whether a notified watcher should run. When it was only notified by
+   * computed watchers with `equals`, they are evaluated now, and it
+   * only runs if one of them got a value that is not equal to the one
+   * it had when notifying.
+   */
+  checkTriggers (): boolean {
+    const checks = this.checks
+    const forceRun = this.forceRun
+    this.checks = null
+    this.forceRun = false
+    if (!checks || forceRun) {
+      return true
+    }
+    for (let i = 0; i < checks.length; i++) {
+      const source = checks[i].source
+      if (source.dirty) {
+        try {
+          source.evaluate()
+        } catch (e) {
+          // let the watcher re-evaluate and run into the error itself
+          return true
+        }
+      }
+      if (source.version !== checks[i].version) {
+        return true
+      }
+    }
+    return false
   }
 
   /**
@@ -191,14 +282,18 @@ export default class Watcher {
    * Will be called by the scheduler.
    */
   run () {
+    this.checks = null
+    this.forceRun = false
     if (this.active) {
       const value = this.get()
       if (
-        value !== this.value ||
-        // Deep watchers and watchers on Object/Arrays should fire even
-        // when the value is the same, because the value may
-        // have mutated.
-        isObject(value) ||
+        (this.multi
+          ? sourcesChanged(value, this.value)
+          : value !== this.value ||
+            // Deep watchers and watchers on Object/Arrays should fire even
+            // when the value is the same, because the value may
+            // have mutated.
+            isObject(value)) ||
         this.deep
       ) {
         // set new value
@@ -222,8 +317,17 @@ export default class Watcher {
    * This only gets called for lazy watchers.
    */
   evaluate () {
-    this.value = this.get()
+    const oldValue = this.value
+    const value = this.get()
     this.dirty = false
+    if (this.equals) {
+      if (this.version && this.equals(value, oldValue)) {
+        // keep the old value so that dependents see no change
+        return
+      }
+      this.version++
+    }
+    this.value = value
   }
 
   /**
@@ -236,12 +340,38 @@ export default class Watcher {
   // data 的 subs 里面 会有 computed watcher ，再经过下面的循环之后又会增加 render watcher
   // 这样一来，当 data 更新后，就会更新 computed watcher，然后通知 render watcher 重新渲染
   depend () {
+    if (this.dep) {
+      this.dep.depend()
+      return
+    }
     let i = this.deps.length
     while (i--) {
       this.deps[i].depend()
     }
   }
 
+  /**
+   * Drop the dependencies and cached value of a lazy watcher that
+   * nothing depends on, so they can be garbage collected. It is
+   * re-evaluated, and subscribes again, when it is next read.
+   */
+  release () {
+    // async values are kept, their promise is still being tracked
+    if (!this.active || isPromise(this.value)) {
+      return
+    }
+    const deps = this.deps
+    this.deps = []
+    this.depIds.clear()
+    this.dirty = true
+    this.value = undefined
+    this.version = 0
+    let i = deps.length
+    while (i--) {
+      deps[i].removeSub(this)
+    }
+  }
+
   /**
    * Remove self from all dependencies' subscriber list.
    */
@@ -250,8 +380,9 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
@@ -261,3 +392,37 @@ export default class Watcher {
     }
   }
 }
+
+function parseGetter (expOrFn: string | Function, vm: ?Component): Function {
+  if (typeof expOrFn === 'function') {
+    return expOrFn
+  }
+  const getter = parsePath(expOrFn)
+  if (!getter) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${expOrFn}" ` +
+      'Watcher only accepts simple dot-delimited paths, ' +
+      'optionally with array indices and * wildcards. ' +
+      'For full control, use a function instead.',
+      vm
+    )
+    return noop
+  }
+  return getter
+}
+
+/**
+ * Like a single source, each source of a multi-source watcher counts
+ * as changed when it is an object, which may have been mutated.
+ */
+function sourcesChanged (values: any, oldValues: any): boolean {
+  if (values.length !== oldValues.length) {
+    return true
+  }
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] !== oldValues[i] || isObject(values[i])) {
+      return true
+    }
+  }
+  return false
+}
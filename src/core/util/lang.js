@@ -28,14 +28,47 @@ export function def (obj: Object, key: string, val: any, enumerable?: boolean) {
 }
 
 /**
- * Parse simple path.
+ * Split a path into its segments. Besides dot-delimited keys, array
+ * indices (`items[3]`) and `*` wildcards (`items.*.done`) are allowed.
+ * Returns undefined for anything else.
  */
-const bailRE = new RegExp(`[^${unicodeRegExp.source}.$_\\d]`)
-export function parsePath (path: string): any {
+const bailRE = new RegExp(`[^${unicodeRegExp.source}.$_\\d*]`)
+const indexRE = /\[(\d+|\*)\]/g
+export function parsePathSegments (path: string): ?Array<string> {
+  path = path.replace(indexRE, '.$1')
   if (bailRE.test(path)) {
     return
   }
   const segments = path.split('.')
+  for (let i = 0; i < segments.length; i++) {
+    if (segments[i] !== '*' && segments[i].indexOf('*') > -1) {
+      return
+    }
+  }
+  return segments
+}
+
+export function isWildcardPath (path: string): boolean {
+  const segments = parsePathSegments(path)
+  return !!segments && segments.indexOf('*') > -1
+}
+
+/**
+ * Parse simple path. Paths with wildcards evaluate to
+ * a flat array of all matching values.
+ */
+export function parsePath (path: string): any {
+  const segments = parsePathSegments(path)
+  if (!segments) {
+    return
+  }
+  if (segments.indexOf('*') > -1) {
+    return function (obj) {
+      const values = []
+      collectPath(obj, segments, 0, values)
+      return values
+    }
+  }
   return function (obj) {
     for (let i = 0; i < segments.length; i++) {
       if (!obj) return
@@ -44,3 +77,19 @@ export function parsePath (path: string): any {
     return obj
   }
 }
+
+function collectPath (obj: any, segments: Array<string>, i: number, values: Array<any>) {
+  if (i === segments.length) {
+    values.push(obj)
+    return
+  }
+  if (!obj) return
+  if (segments[i] === '*') {
+    const keys = Array.isArray(obj) ? obj.map((_, index) => index) : Object.keys(obj)
+    for (let j = 0; j < keys.length; j++) {
+      collectPath(obj[keys[j]], segments, i + 1, values)
+    }
+  } else {
+    collectPath(obj[segments[i]], segments, i + 1, values)
+  }
+}
@@ -9,16 +9,42 @@ export let isUsingMicroTask = false
 
 const callbacks = []
 let pending = false
+let held = false
 
 function flushCallbacks () {
   pending = false
   const copies = callbacks.slice(0)
   callbacks.length = 0
   for (let i = 0; i < copies.length; i++) {
+    if (held) {
+      // keep the rest in order until released
+      callbacks.unshift.apply(callbacks, copies.slice(i))
+      return
+    }
     copies[i]()
   }
 }
 
+/**
+ * Hold back nextTick callbacks, e.g. while a watcher flush that yielded
+ * to the browser is still in progress, so that they only run once the
+ * DOM is fully updated.
+ */
+export function holdCallbacks () {
+  held = true
+}
+
+export function releaseCallbacks () {
+  if (!held) {
+    return
+  }
+  held = false
+  if (callbacks.length && !pending) {
+    pending = true
+    timerFunc()
+  }
+}
+
 // Here we have async deferring wrappers using microtasks.
 // In 2.5 we used (macro) tasks (in combination with microtasks).
 // However, it has subtle problems when state is changed right before repaint
@@ -97,7 +123,7 @@ export function nextTick (cb?: Function, ctx?: Object) {
       _resolve(ctx)
     }
   })
-  if (!pending) {
+  if (!pending && !held) {
     pending = true
     timerFunc()
   }
@@ -239,6 +239,7 @@ strats.watch = function (
  * Other object hashes.
  */
 strats.props =
+strats.emits =
 strats.methods =
 strats.inject =
 strats.computed = function (
@@ -356,6 +357,43 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize the emits option into an object mapping each declared
+ * event to its payload validator, or null.
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const normalized = options.emits = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (typeof val === 'function') {
+        normalized[key] = val
+      } else {
+        normalized[key] = null
+        if (process.env.NODE_ENV !== 'production' && val != null) {
+          warn(
+            `Invalid validator for event "${key}" in option "emits": ` +
+            `expected a Function or null, but got ${toRawType(val)}.`,
+            vm
+          )
+        }
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -400,6 +438,7 @@ export function mergeOptions (
 
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   normalizeDirectives(child)
 
   // Apply extends and mixins on the child options,
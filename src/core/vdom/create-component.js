@@ -162,14 +162,18 @@ export function createComponent(
 
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slots
 
     // work around flow
     const slot = data.slot;
+    const scopedSlots = data.scopedSlots;
     data = {};
     if (slot) {
       data.slot = slot;
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots;
+    }
   }
 
   // install component management hooks onto the placeholder node
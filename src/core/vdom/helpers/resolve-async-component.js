@@ -14,6 +14,7 @@ import {
 
 import { createEmptyVNode } from 'core/vdom/vnode'
 import { currentRenderingInstance } from 'core/instance/render'
+import { trackAsyncFactory, settleAsyncFactory } from './suspense'
 
 function ensureCtor (comp: any, base) {
   if (
@@ -53,6 +54,9 @@ export function resolveAsyncComponent (
   }
 
   const owner = currentRenderingInstance
+  if (owner) {
+    trackAsyncFactory(owner, factory)
+  }
   // 判断添加不重复的 vm 实例，内存地址
   if (owner && isDef(factory.owners) && factory.owners.indexOf(owner) === -1) {
     // already pending
@@ -99,6 +103,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settleAsyncFactory(factory)
     })
 
     // 当 reject 执行了之后，不会再执行 resolve 重新加载组件
@@ -112,6 +117,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settleAsyncFactory(factory)
     })
 
     const res = factory(resolve, reject)
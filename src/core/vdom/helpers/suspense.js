@@ -0,0 +1,116 @@
+/* @flow */
+
+import {
+  once,
+  nextTick,
+  isPromise,
+  invokeWithErrorHandling
+} from 'core/util/index'
+
+/**
+ * Find the pending <suspense> boundary whose content contains the
+ * given instance, if any. Only the nearest boundary is considered.
+ */
+export function getSuspense (vm: ?Component): ?Component {
+  while (vm) {
+    const parent: any = vm.$options.parent
+    // <teleport> holds its content the same way
+    if (parent && parent._isSuspense && parent.content === vm) {
+      return parent.resolved ? null : parent
+    }
+    vm = parent
+  }
+}
+
+/**
+ * Queue the insert hooks of a patch inside the content of a pending
+ * <suspense>, so that they run once the content is shown. Returns
+ * whether they were queued.
+ */
+export function deferInsertHooks (vm: ?Component, queue: Array<VNode>): boolean {
+  const suspense: any = getSuspense(vm)
+  const vnode: ?VNode = suspense && suspense.contentVNode
+  if (!vnode || !vnode.data) {
+    return false
+  }
+  const pending = vnode.data.pendingInsert
+  vnode.data.pendingInsert = pending ? pending.concat(queue) : queue
+  return true
+}
+
+/**
+ * Make the <suspense> boundary of an instance wait for an async
+ * operation. Returns the callback to invoke once it has settled, or
+ * undefined when the instance is not inside a pending boundary.
+ */
+export function registerSuspenseDep (vm: Component): ?Function {
+  const suspense = getSuspense(vm)
+  return suspense ? addDep(suspense) : undefined
+}
+
+/**
+ * Call the serverPrefetch hooks of an instance created inside a pending
+ * <suspense> on the client, which waits for the returned promises like
+ * the server renderer does.
+ */
+export function prefetchForSuspense (vm: Component) {
+  const handlers: any = vm.$options.serverPrefetch
+  const suspense = handlers && getSuspense(vm)
+  if (!suspense) {
+    return
+  }
+  const promises = []
+  for (let i = 0; i < handlers.length; i++) {
+    const res = invokeWithErrorHandling(handlers[i], vm, null, vm, 'serverPrefetch hook')
+    if (isPromise(res)) {
+      promises.push(res)
+    }
+  }
+  if (promises.length) {
+    // errors are already reported by invokeWithErrorHandling
+    const settle = addDep(suspense)
+    Promise.all(promises).then(settle, settle)
+  }
+}
+
+/**
+ * Make the <suspense> boundary of an instance wait for an async
+ * component factory to resolve or fail.
+ */
+export function trackAsyncFactory (vm: Component, factory: Function) {
+  if (factory.settled) {
+    return
+  }
+  const suspense: any = getSuspense(vm)
+  if (suspense && suspense.factories.indexOf(factory) === -1) {
+    suspense.factories.push(factory)
+    const callbacks = factory.suspenseCallbacks || (factory.suspenseCallbacks = [])
+    callbacks.push(addDep(suspense))
+  }
+}
+
+export function settleAsyncFactory (factory: Function) {
+  factory.settled = true
+  const callbacks = factory.suspenseCallbacks
+  if (callbacks) {
+    factory.suspenseCallbacks = null
+    for (let i = 0; i < callbacks.length; i++) {
+      callbacks[i]()
+    }
+  }
+}
+
+function addDep (suspense: any): Function {
+  suspense.pendingCount++
+  return once(() => {
+    suspense.pendingCount--
+    // wait for the re-renders caused by the settled dep, which may
+    // discover new async deps further down the tree
+    nextTick(() => {
+      if (!suspense.pendingCount && !suspense.resolved && !suspense._isDestroyed) {
+        suspense.resolved = true
+        suspense.$forceUpdate()
+      }
+    })
+  })
+}
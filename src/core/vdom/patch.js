@@ -16,6 +16,7 @@ import { SSR_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import { deferInsertHooks } from './helpers/suspense'
 import { isTextInputType } from 'web/util/element'
 
 import {
@@ -38,6 +39,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -86,10 +88,10 @@ export function createPatchFunction (backend) {
     return new VNode(nodeOps.tagName(elm).toLowerCase(), {}, [], undefined, elm)
   }
 
-  function createRmCb (childElm, listeners) {
+  function createRmCb (vnode, listeners) {
     function remove () {
       if (--remove.listeners === 0) {
-        removeNode(childElm)
+        removeVnodeElms(vnode)
       }
     }
     remove.listeners = listeners
@@ -203,6 +205,17 @@ export function createPatchFunction (backend) {
       if (process.env.NODE_ENV !== "production" && data && data.pre) {
         creatingElmInVPre--;
       }
+    } else if (isTrue(vnode.isFragment)) {
+      if (process.env.NODE_ENV !== "production") {
+        checkDuplicateKeys(children);
+      }
+      vnode.elm = nodeOps.createTextNode("");
+      vnode.anchor = nodeOps.createTextNode("");
+      insert(parentElm, vnode.elm, refElm);
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, refElm, nested, children, i);
+      }
+      insert(parentElm, vnode.anchor, refElm);
     } else if (isTrue(vnode.isComment)) {
       vnode.elm = nodeOps.createComment(vnode.text);
       insert(parentElm, vnode.elm, refElm);
@@ -226,7 +239,7 @@ export function createPatchFunction (backend) {
       if (isDef(vnode.componentInstance)) {
         // 组件的 insertedVnodeQueue 在这里 push
         initComponent(vnode, insertedVnodeQueue);
-        insert(parentElm, vnode.elm, refElm);
+        insertVnode(parentElm, vnode, refElm);
         if (isTrue(isReactivated)) {
           // 组件的 insertedVnodeQueue 在这里 push
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm);
@@ -273,7 +286,7 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
   }
 
   function insert (parent, elm, ref) {
@@ -288,6 +301,50 @@ export function createPatchFunction (backend) {
     }
   }
 
+  // the fragment rendered by a component, following nested component roots
+  function getFragment (vnode) {
+    while (vnode.componentInstance) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  function getLastElm (vnode) {
+    const fragment = getFragment(vnode)
+    return isDef(fragment) ? fragment.anchor : vnode.elm
+  }
+
+  // a fragment has no element wrapping its nodes, so they are inserted
+  // (or moved) one by one. this also works when they were created while
+  // the fragment was detached, e.g. in an inactive kept-alive component.
+  function insertVnode (parent, vnode, ref) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const children = fragment.children
+      insert(parent, fragment.elm, ref)
+      for (let i = 0; i < children.length; ++i) {
+        insertVnode(parent, children[i], ref)
+      }
+      insert(parent, fragment.anchor, ref)
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function removeVnodeElms (vnode) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      const children = fragment.children
+      removeNode(fragment.elm)
+      for (let i = 0; i < children.length; ++i) {
+        removeVnodeElms(children[i])
+      }
+      removeNode(fragment.anchor)
+    } else {
+      removeNode(vnode.elm)
+    }
+  }
+
   function createChildren (vnode, children, insertedVnodeQueue) {
     if (Array.isArray(children)) {
       if (process.env.NODE_ENV !== 'production') {
@@ -372,6 +429,10 @@ export function createPatchFunction (backend) {
         if (isDef(ch.tag)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
+        } else if (isTrue(ch.isFragment)) {
+          removeNode(ch.elm)
+          removeVnodes(ch.children, 0, ch.children.length - 1)
+          removeNode(ch.anchor)
         } else { // Text node
           removeNode(ch.elm)
         }
@@ -389,7 +450,7 @@ export function createPatchFunction (backend) {
         rm.listeners += listeners
       } else {
         // directly removing
-        rm = createRmCb(vnode.elm, listeners)
+        rm = createRmCb(vnode, listeners)
       }
       // recursively invoke hooks on child component root node
       if (isDef(i = vnode.componentInstance) && isDef(i = i._vnode) && isDef(i.data)) {
@@ -408,7 +469,7 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -446,13 +507,13 @@ export function createPatchFunction (backend) {
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         // 这里的几个判断是为了优化，毕竟如果新老有相同的话直接复用会比重新渲染 dom 要好些
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && insertVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastElm(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         // 这里的几个判断是为了优化，毕竟如果新老有相同的话直接复用会比重新渲染 dom 要好些
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && insertVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -470,7 +531,7 @@ export function createPatchFunction (backend) {
           if (sameVnode(vnodeToMove, newStartVnode)) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && insertVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -480,7 +541,8 @@ export function createPatchFunction (backend) {
       }
     }
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // children of a fragment are added before its anchor
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       removeVnodes(oldCh, oldStartIdx, oldEndIdx)
@@ -552,6 +614,12 @@ export function createPatchFunction (backend) {
       vnode.componentInstance = oldVnode.componentInstance
       return
     }
+
+    if (isTrue(vnode.isFragment)) {
+      vnode.anchor = oldVnode.anchor
+      updateChildren(nodeOps.parentNode(elm), oldVnode.children, vnode.children, insertedVnodeQueue, removeOnly, vnode.anchor)
+      return
+    }
     // 对于插槽而言，2.6.x 的版本 不管是普通插槽还是作用域插槽，其所收集的依赖都是子组件的 render watcher
     let i
     const data = vnode.data
@@ -597,6 +665,8 @@ export function createPatchFunction (backend) {
     // element is really inserted
     if (isTrue(initial) && isDef(vnode.parent)) {
       vnode.parent.data.pendingInsert = queue
+    } else if (queue.length && deferInsertHooks(activeInstance, queue)) {
+      // inside the off-document content of a pending <suspense>
     } else {
       for (let i = 0; i < queue.length; ++i) {
         // 组件在这里调用 mounted
@@ -617,6 +687,9 @@ export function createPatchFunction (backend) {
     let i
     const { tag, data, children } = vnode
     inVPre = inVPre || (data && data.pre)
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
     vnode.elm = elm
 
     if (isTrue(vnode.isComment) && isDef(vnode.asyncFactory)) {
@@ -667,7 +740,7 @@ export function createPatchFunction (backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -706,6 +779,25 @@ export function createPatchFunction (backend) {
     return true
   }
 
+  // the server renders the children of a fragment without anchors,
+  // so they are added while hydrating
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    const parent = elm.parentNode
+    const children = vnode.children
+    vnode.elm = nodeOps.createTextNode('')
+    vnode.anchor = nodeOps.createTextNode('')
+    insert(parent, vnode.elm, elm)
+    let childNode = elm
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      childNode = getLastElm(children[i]).nextSibling
+    }
+    insert(parent, vnode.anchor, childNode)
+    return true
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -747,7 +839,7 @@ export function createPatchFunction (backend) {
           if (isTrue(hydrating)) {
             if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              return vnode.elm
             } else if (process.env.NODE_ENV !== 'production') {
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
@@ -776,7 +868,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(getLastElm(oldVnode))
         )
 
         // update parent placeholder node element, recursively
@@ -814,7 +906,7 @@ export function createPatchFunction (backend) {
         // destroy old node
         if (isDef(parentElm)) {
           removeVnodes([oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment)) {
           invokeDestroyHook(oldVnode)
         }
       }
@@ -23,6 +23,8 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // multiple root nodes returned from render?
+  anchor: Node | void; // end of the nodes of a fragment
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -62,6 +64,8 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false
+    this.anchor = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -78,6 +82,14 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// the fragment itself is rendered as an empty text node before its
+// children, followed by another one as its anchor
+export function createFragmentVNode (children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -0,0 +1,140 @@
+/* @flow */
+
+// Renders its children into another element of the document, e.g. a
+// modal container. The children stay in the component tree of the
+// <teleport>, so $parent, provide/inject and events work as usual.
+
+import { query } from 'web/util/index'
+import { isServerRendering } from 'core/util/index'
+import { createComponentInstanceForVnode } from 'core/vdom/create-component'
+
+// renders the default slot, mounted into the target
+const TeleportContent = {
+  name: 'teleport-content',
+  abstract: true,
+
+  render () {
+    return this.$slots.default
+  }
+}
+
+// the content is rendered as a single node, or as a fragment of sibling
+// nodes between the node of the fragment and its anchor
+function getContentNodes (content: Component): Array<Node> {
+  let vnode: any = content._vnode
+  while (vnode.componentInstance) {
+    vnode = vnode.componentInstance._vnode
+  }
+  const last = vnode.isFragment ? vnode.anchor : vnode.elm
+  const nodes = [content.$el]
+  while (nodes[nodes.length - 1] !== last) {
+    nodes.push(nodes[nodes.length - 1].nextSibling)
+  }
+  return nodes
+}
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector or an element
+    to: {
+      required: true
+    }
+  },
+
+  created () {
+    this.content = null
+    this.contentVNode = null
+    this.target = null
+    this.targetQuery = null
+    // holds the content nodes while inactive, so they can still be patched
+    this.detached = null
+    // a <teleport> is abstract and not among the children of its parent,
+    // so it follows the parent into and out of an inactive <keep-alive> tree
+    const parent = this.$parent
+    if (parent) {
+      parent.$on('hook:deactivated', this.detach)
+      parent.$on('hook:activated', this.attach)
+    }
+  },
+
+  // the content is mounted along with the <teleport> rather than while
+  // rendering it, so that it is inserted in the patch like other children
+  mounted () {
+    const vnode = this.contentVNode
+    if (!vnode) {
+      return
+    }
+    const content = this.content = vnode.componentInstance = createComponentInstanceForVnode(vnode, this)
+    // mount in place of an element appended to the target
+    content.$mount(this.target.appendChild(document.createElement('div')))
+    vnode.data.hook.insert(vnode)
+  },
+
+  beforeDestroy () {
+    const parent = this.$parent
+    if (parent) {
+      parent.$off('hook:deactivated', this.detach)
+      parent.$off('hook:activated', this.attach)
+    }
+    const content = this.content
+    if (content) {
+      const nodes = getContentNodes(content)
+      content.$destroy()
+      for (let i = 0; i < nodes.length; i++) {
+        const parent = nodes[i].parentNode
+        if (parent) {
+          parent.removeChild(nodes[i])
+        }
+      }
+    }
+  },
+
+  methods: {
+    detach () {
+      const content = this.content
+      if (content && !this.detached) {
+        const nodes = getContentNodes(content)
+        const detached = this.detached = document.createDocumentFragment()
+        for (let i = 0; i < nodes.length; i++) {
+          detached.appendChild(nodes[i])
+        }
+      }
+    },
+
+    attach () {
+      const detached = this.detached
+      if (detached) {
+        this.detached = null
+        this.target.appendChild(detached)
+      }
+    }
+  },
+
+  render (h: Function) {
+    // the children are only rendered on the client
+    if (isServerRendering()) {
+      return h()
+    }
+    const vnode = h(TeleportContent, null, this.$slots.default)
+    const target = this.to === this.targetQuery
+      ? this.target
+      : query(this.to)
+    const content = this.content
+    if (content) {
+      vnode.data.hook.prepatch(this.contentVNode, vnode)
+      if (target !== this.target && !this.detached) {
+        const nodes = getContentNodes(content)
+        for (let i = 0; i < nodes.length; i++) {
+          target.appendChild(nodes[i])
+        }
+      }
+    }
+    this.contentVNode = vnode
+    this.target = target
+    this.targetQuery = this.to
+    return h()
+  }
+}
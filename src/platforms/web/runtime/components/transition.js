@@ -78,6 +78,28 @@ function isSameChild (child: VNode, oldChild: VNode): boolean {
 
 const isNotTextNode = (c: VNode) => c.tag || isAsyncPlaceholder(c)
 
+// a component rendering a fragment has no single element to apply the
+// transition to, so it is inserted and removed without one
+function checkFragmentChild (vm: Component) {
+  const child = getRealChild(vm._vnode)
+  const instance = child && child.componentInstance
+  if (!instance || instance === (vm: any)._checkedChild) {
+    return
+  }
+  (vm: any)._checkedChild = instance
+  let vnode = instance._vnode
+  while (vnode && vnode.componentInstance) {
+    vnode = vnode.componentInstance._vnode
+  }
+  if (vnode && vnode.isFragment) {
+    warn(
+      '<transition> cannot animate a component with multiple root nodes. ' +
+      'Wrap its content in a single element instead.',
+      vm.$parent
+    )
+  }
+}
+
 const isVShowDirective = d => d.name === 'show'
 
 export default {
@@ -85,6 +107,18 @@ export default {
   props: transitionProps,
   abstract: true,
 
+  mounted () {
+    if (process.env.NODE_ENV !== 'production') {
+      checkFragmentChild(this)
+    }
+  },
+
+  updated () {
+    if (process.env.NODE_ENV !== 'production') {
+      checkFragmentChild(this)
+    }
+  },
+
   render (h: Function) {
     let children: any = this.$slots.default
     if (!children) {
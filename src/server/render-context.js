@@ -13,6 +13,7 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+  isRoot: boolean;
 } | {
   type: 'Component';
   prevActive: Component;
@@ -79,7 +80,10 @@ export class RenderContext {
           const { children, total } = lastState
           const rendered = lastState.rendered++
           if (rendered < total) {
-            return this.renderNode(children[rendered], false, this)
+            // the first node of a root fragment stands in for it
+            const isRoot = lastState.type === 'Fragment' &&
+              lastState.isRoot && rendered === 0
+            return this.renderNode(children[rendered], isRoot, this)
           } else {
             this.renderStates.pop()
             if (lastState.type === 'Element') {
@@ -78,6 +78,9 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    // multiple root nodes returned from a component render function
+    renderFragment(node.children, isRoot, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -234,13 +237,7 @@ function renderAsyncComponent (node, isRoot, context) {
         renderNode(resolvedNode, isRoot, context)
       } else {
         // multiple return nodes from functional component
-        context.renderStates.push({
-          type: 'Fragment',
-          children: resolvedNode,
-          rendered: 0,
-          total: resolvedNode.length
-        })
-        context.next()
+        renderFragment(resolvedNode, isRoot, context)
       }
     } else {
       // invalid component, but this does not throw on the client
@@ -291,6 +288,28 @@ function renderStringNode (el, context) {
   }
 }
 
+// the client hydrates a root fragment starting from its first node,
+// which is marked as server-rendered in place of the fragment
+function renderFragment (children, isRoot, context) {
+  if (
+    process.env.NODE_ENV !== 'production' &&
+    isTrue(isRoot) && children.length && isUndef(children[0].tag)
+  ) {
+    warnOnce(
+      `[vue-server-renderer] a root fragment should start with an element ` +
+      `or component, otherwise it is not hydrated on the client.`
+    )
+  }
+  context.renderStates.push({
+    type: 'Fragment',
+    children,
+    rendered: 0,
+    total: children.length,
+    isRoot: isTrue(isRoot)
+  })
+  context.next()
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
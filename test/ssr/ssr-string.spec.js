@@ -609,6 +609,24 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('marks the first node of a root fragment as server-rendered', done => {
+    renderVmWithOptions({
+      render (h) {
+        return h('test')
+      },
+      components: {
+        test: {
+          render (h) {
+            return [h('p', 'a'), h('p', 'b')]
+          }
+        }
+      }
+    }, result => {
+      expect(result).toBe('<p data-server-rendered="true">a</p><p>b</p>')
+      done()
+    })
+  })
+
   it('renders async component (functional, multiple nodes)', done => {
     renderVmWithOptions({
       template: `
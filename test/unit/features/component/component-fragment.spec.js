@@ -0,0 +1,167 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  const Fragment = {
+    props: ['items'],
+    render (h) {
+      return this.items.map(item => h('p', { key: item }, item))
+    }
+  }
+
+  it('should render multiple root nodes', done => {
+    const vm = new Vue({
+      template: '<div><span>a</span><fragment :items="items"></fragment><span>b</span></div>',
+      data: { items: ['1', '2'] },
+      components: { Fragment }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<span>a</span><p>1</p><p>2</p><span>b</span>')
+    // $el is the empty text node before the fragment
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.nextSibling.outerHTML).toBe('<p>1</p>')
+    vm.items.push('3')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><p>1</p><p>2</p><p>3</p><span>b</span>')
+      vm.items.reverse()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><p>3</p><p>2</p><p>1</p><span>b</span>')
+      vm.items = ['2', 'x']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span><p>2</p><p>x</p><span>b</span>')
+    }).then(done)
+  })
+
+  it('should normalize the returned array', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          render (h) {
+            return ['a', [h('b', 'c'), 'd']]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('a<b>c</b>d')
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      template: '<div><fragment :items="items"></fragment><span>b</span></div>',
+      data: { items: ['1'] },
+      components: { Fragment }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>1</p><span>b</span>')
+    vm.items = ['1', '2']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p><span>b</span>')
+      expect(vm.$children[0].$el.nodeType).toBe(3)
+      vm.items = ['3']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>3</p><span>b</span>')
+      expect(vm.$children[0].$el.tagName).toBe('P')
+      expect(vm.$el.childNodes.length).toBe(2)
+    }).then(done)
+  })
+
+  it('should move and remove fragments as a whole', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <fragment v-for="list in lists" :key="list[0]" :items="list"></fragment>
+        </div>
+      `,
+      data: { lists: [['a', 'b'], ['c', 'd'], ['e', 'f']] },
+      components: {
+        Fragment: {
+          extends: Fragment,
+          destroyed
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('abcdef')
+    vm.lists.reverse()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('efcdab')
+      vm.lists.splice(1, 1)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('efab')
+      expect(vm.$el.childNodes.length).toBe(8)
+      expect(destroyed.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should work with nested fragments', done => {
+    const vm = new Vue({
+      template: '<div><outer :items="items"></outer></div>',
+      data: { items: ['1', '2'] },
+      components: {
+        outer: {
+          props: ['items'],
+          render (h) {
+            return [h(Fragment, { props: { items: this.items }}), h('hr')]
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p><hr>')
+    vm.items = ['3']
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>3</p><hr>')
+      vm.items = ['4', '5', '6']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>4</p><p>5</p><p>6</p><hr>')
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive><component :is="view" :items="items"></component></keep-alive>
+          <span>b</span>
+        </div>
+      `,
+      data: { view: 'fragment', items: ['1', '2'] },
+      components: {
+        Fragment,
+        single: { props: ['items'], template: '<i>single</i>' }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p> <span>b</span>')
+    vm.view = 'single'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<i>single</i> <span>b</span>')
+      // updated while inactive
+      vm.items = ['3', '1', '4']
+    }).then(() => {
+      vm.view = 'fragment'
+    }).then(() => {
+      expect(child._inactive).toBe(false)
+      expect(vm.$el.innerHTML).toBe('<p>3</p><p>1</p><p>4</p> <span>b</span>')
+    }).then(done)
+  })
+
+  it('should warn inside transition', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <transition name="test"><fragment v-if="ok" :items="items"></fragment></transition>
+        </div>
+      `,
+      data: { ok: false, items: ['1', '2'] },
+      components: { Fragment }
+    }).$mount()
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>1</p><p>2</p>')
+      expect('<transition> cannot animate a component with multiple root nodes').toHaveBeenWarned()
+      vm.ok = false
+    }).then(() => {
+      // removed right away
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+})
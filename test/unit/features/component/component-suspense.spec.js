@@ -0,0 +1,222 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  // resolves after all pending ticks have been flushed
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0))
+
+  function deferred () {
+    let resolve
+    const factory = r => { resolve = r }
+    return { factory, resolve: comp => resolve(comp) }
+  }
+
+  it('should render content right away without async deps', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <p>content</p>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>content</p>')
+  })
+
+  it('should show the fallback until async components resolve', done => {
+    const a = deferred()
+    const b = deferred()
+    const c = deferred()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <div><async-a></async-a><async-b></async-b></div>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        AsyncA: a.factory,
+        AsyncB: b.factory
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+    a.resolve({
+      template: '<p>a<async-c></async-c></p>',
+      components: { AsyncC: c.factory }
+    })
+    tick().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+      b.resolve({ template: '<p>b</p>' })
+      return tick()
+    }).then(() => {
+      // async-c was found once async-a resolved
+      expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+      c.resolve({ template: '<i>c</i>' })
+      return tick()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>a<i>c</i></p><p>b</p></div>')
+    }).then(done)
+  })
+
+  it('should wait for async setup', done => {
+    let resolve
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child></child>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          template: '<p>{{ msg }}</p>',
+          setup () {
+            return new Promise(r => { resolve = r })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>loading</span>')
+    resolve({ msg: 'hi' })
+    tick().then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hi</p>')
+    }).then(done)
+  })
+
+  it('should wait for serverPrefetch', done => {
+    let resolve
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child></child>
+            <template #fallback><span>loading</span></template>
+          </suspense>
+          <child></child>
+        </div>
+      `,
+      components: {
+        child: {
+          data: () => ({ msg: 'a' }),
+          template: '<p>{{ msg }}</p>',
+          serverPrefetch () {
+            return new Promise(r => {
+              resolve = () => {
+                this.msg = 'b'
+                r()
+              }
+            })
+          }
+        }
+      }
+    }).$mount()
+    // only called inside a pending suspense
+    expect(vm.$el.innerHTML).toBe('<span>loading</span> <p>a</p>')
+    resolve()
+    tick().then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>b</p> <p>a</p>')
+    }).then(done)
+  })
+
+  it('should keep the content mounted while pending', done => {
+    const a = deferred()
+    const mounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <div><child :msg="msg"></child><async-a></async-a></div>
+          </suspense>
+        </div>
+      `,
+      data: { msg: 'a' },
+      components: {
+        AsyncA: a.factory,
+        child: {
+          props: ['msg'],
+          data: () => ({ count: 0 }),
+          template: '<p>{{ msg }}{{ count }}</p>',
+          mounted () {
+            mounted(document.body.contains(this.$el))
+          }
+        }
+      }
+    })
+    document.body.appendChild(vm.$mount().$el)
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    child.count++
+    vm.msg = 'b'
+    tick().then(() => {
+      // mounted hooks run once the content is in the document
+      expect(mounted).not.toHaveBeenCalled()
+      a.resolve({
+        template: '<i>a</i>',
+        mounted () {
+          mounted(document.body.contains(this.$el))
+        }
+      })
+      return tick()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>b1</p><i>a</i></div>')
+      expect(vm.$children[0]).toBe(child)
+      expect(mounted.calls.allArgs()).toEqual([[true], [true]])
+      vm.msg = 'c'
+    }).then(tick).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><p>c1</p><i>a</i></div>')
+      document.body.removeChild(vm.$el)
+    }).then(done)
+  })
+
+  it('should destroy the content when destroyed while pending', done => {
+    const a = deferred()
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense v-if="ok">
+            <div><child></child><async-a></async-a></div>
+          </suspense>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        AsyncA: a.factory,
+        child: {
+          template: '<p></p>',
+          destroyed
+        }
+      }
+    }).$mount()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(destroyed).toHaveBeenCalled()
+      a.resolve({ template: '<i>a</i>' })
+    }).then(done)
+  })
+
+  it('should render nothing until async setup resolves outside of suspense', done => {
+    let resolve
+    const vm = new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: {
+          template: '<p>{{ msg }}</p>',
+          setup () {
+            return new Promise(r => { resolve = r })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+    resolve({ msg: 'hi' })
+    tick().then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>hi</p>')
+    }).then(done)
+  })
+})
@@ -0,0 +1,177 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target, other
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    other = document.createElement('div')
+    other.id = 'teleport-other'
+    document.body.appendChild(target)
+    document.body.appendChild(other)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+    document.body.removeChild(other)
+  })
+
+  it('should render children into the target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>{{ msg }}</p></teleport>
+          <span>b</span>
+        </div>
+      `,
+      data: { msg: 'a' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!----> <span>b</span>')
+    expect(target.innerHTML).toBe('<p>a</p>')
+    vm.msg = 'c'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>c</p>')
+    }).then(done)
+  })
+
+  it('should keep children in the component tree', () => {
+    const onFoo = jasmine.createSpy('foo')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><child @foo="onFoo"></child></teleport>
+        </div>
+      `,
+      provide: { msg: 'injected' },
+      methods: { onFoo },
+      components: {
+        child: {
+          inject: ['msg'],
+          template: '<p>{{ msg }}</p>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(target.innerHTML).toBe('<p>injected</p>')
+    expect(child.$parent).toBe(vm)
+    child.$emit('foo', 1)
+    expect(onFoo).toHaveBeenCalledWith(1)
+  })
+
+  it('should move children when the target changes', done => {
+    const mounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport :to="to"><p>a</p><child></child></teleport>
+        </div>
+      `,
+      data: { to: '#teleport-target' },
+      components: {
+        child: { template: '<i>b</i>', mounted }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><i>b</i>')
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>a</p><i>b</i>')
+      expect(mounted.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should remove children from the target when destroyed', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport v-if="ok" to="#teleport-target"><p>a</p><child></child></teleport>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        child: { template: '<i>b</i>', destroyed }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><i>b</i>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should mount children after the owner is patched', () => {
+    const ownerEl = jasmine.createSpy('owner el')
+    new Vue({
+      template: '<div><owner></owner></div>',
+      components: {
+        owner: {
+          template: `
+            <section>
+              <teleport to="#teleport-target"><child></child></teleport>
+            </section>
+          `,
+          components: {
+            child: {
+              template: '<p>a</p>',
+              mounted () {
+                ownerEl(this.$parent.$el)
+              }
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p>')
+    expect(ownerEl.calls.argsFor(0)[0].tagName).toBe('SECTION')
+  })
+
+  it('should detach children while deactivated', done => {
+    const mounted = jasmine.createSpy('mounted')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive><owner v-if="ok" :msg="msg"></owner></keep-alive>
+        </div>
+      `,
+      data: { ok: true, msg: 'a' },
+      components: {
+        owner: {
+          props: ['msg'],
+          template: `
+            <div>
+              <teleport to="#teleport-target"><p>{{ msg }}</p><child></child></teleport>
+            </div>
+          `,
+          components: {
+            child: { template: '<i>b</i>', mounted }
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p><i>b</i>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      vm.ok = true
+      vm.msg = 'c'
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>c</p><i>b</i>')
+      expect(mounted.calls.count()).toBe(1)
+      vm.ok = false
+    }).then(() => {
+      expect(target.innerHTML).toBe('')
+      vm.$destroy()
+    }).then(() => {
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should warn missing target', () => {
+    new Vue({
+      template: '<div><teleport to="#teleport-missing"><p>a</p></teleport></div>'
+    }).$mount()
+    expect('Cannot find element: #teleport-missing').toHaveBeenWarned()
+  })
+})
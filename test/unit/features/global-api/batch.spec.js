@@ -0,0 +1,79 @@
+import Vue from 'vue'
+
+describe('Global API: batch', () => {
+  it('should run sync watchers once after the batch', () => {
+    const state = Vue.reactive({ a: 1, b: 1 })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.a + state.b))
+    expect(spy.calls.count()).toBe(1)
+    const result = Vue.batch(() => {
+      state.a = 2
+      state.b = 2
+      state.a = 3
+      expect(spy.calls.count()).toBe(1)
+      return 'done'
+    })
+    expect(result).toBe('done')
+    expect(spy.calls.count()).toBe(2)
+    expect(spy).toHaveBeenCalledWith(5)
+  })
+
+  it('should keep computed values up to date inside the batch', () => {
+    const state = Vue.reactive({ a: 1, b: 1 })
+    const getter = jasmine.createSpy().and.callFake(() => state.a + state.b)
+    const sum = Vue.computed(getter)
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(sum.value))
+    Vue.batch(() => {
+      state.a = 2
+      state.b = 2
+      expect(sum.value).toBe(4)
+    })
+    expect(spy.calls.count()).toBe(2)
+    expect(spy).toHaveBeenCalledWith(4)
+    // evaluated once on first read, once inside the batch
+    expect(getter.calls.count()).toBe(2)
+  })
+
+  it('should flush after the outermost batch', () => {
+    const state = Vue.reactive({ a: 1 })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.a))
+    Vue.batch(() => {
+      Vue.batch(() => {
+        state.a++
+      })
+      expect(spy.calls.count()).toBe(1)
+      state.a++
+    })
+    expect(spy.calls.count()).toBe(2)
+    expect(spy).toHaveBeenCalledWith(3)
+  })
+
+  it('should flush when the function throws', () => {
+    const state = Vue.reactive({ a: 1 })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => spy(state.a))
+    expect(() => {
+      Vue.batch(() => {
+        state.a++
+        throw new Error('oops')
+      })
+    }).toThrowError('oops')
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should work with sync user watchers', () => {
+    const vm = new Vue({
+      data: { a: 1, b: 1 }
+    })
+    const spy = jasmine.createSpy()
+    vm.$watch(function () { return this.a + this.b }, spy, { sync: true })
+    Vue.batch(() => {
+      vm.a = 2
+      vm.b = 2
+    })
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith(4, 2)
+  })
+})
@@ -0,0 +1,108 @@
+import Vue from 'vue'
+
+describe('Global API: effectScope', () => {
+  it('should collect watchers created while running', () => {
+    const state = Vue.reactive({ count: 0 })
+    const scope = Vue.effectScope()
+    let dummy, doubled
+    const result = scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+      Vue.effect(() => { dummy = state.count })
+      const double = Vue.computed(() => state.count * 2)
+      Vue.effect(() => { doubled = double.value })
+      return 1
+    })
+    expect(result).toBe(1)
+    expect(Vue.getCurrentScope()).toBeUndefined()
+    expect(scope.effects.length).toBe(3)
+
+    state.count++
+    expect(dummy).toBe(1)
+    expect(doubled).toBe(2)
+
+    scope.stop()
+    expect(scope.active).toBe(false)
+    state.count++
+    expect(dummy).toBe(1)
+    expect(doubled).toBe(2)
+  })
+
+  it('should collect $watch watchers', done => {
+    const vm = new Vue({ data: { a: 1 } })
+    const spy = jasmine.createSpy()
+    const scope = Vue.effectScope()
+    scope.run(() => {
+      vm.$watch('a', spy)
+    })
+    scope.stop()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should not collect watchers of instances created while running', done => {
+    const spy = jasmine.createSpy()
+    const scope = Vue.effectScope()
+    let vm
+    scope.run(() => {
+      vm = new Vue({
+        data: { a: 1 },
+        computed: {
+          b () { return this.a + 1 }
+        },
+        watch: { a: spy },
+        created () {
+          this.$watch('b', spy)
+        },
+        template: '<div>{{ b }}</div>'
+      }).$mount()
+    })
+    expect(scope.effects.length).toBe(0)
+    scope.stop()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('3')
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('should stop nested scopes', () => {
+    const state = Vue.reactive({ count: 0 })
+    const scope = Vue.effectScope()
+    let nested, detached, dummy
+    scope.run(() => {
+      nested = Vue.effectScope()
+      detached = Vue.effectScope(true)
+      nested.run(() => {
+        Vue.effect(() => { dummy = state.count })
+      })
+    })
+    expect(scope.scopes.length).toBe(1)
+    scope.stop()
+    expect(nested.active).toBe(false)
+    expect(detached.active).toBe(true)
+    state.count++
+    expect(dummy).toBe(0)
+  })
+
+  it('should remove itself from the parent when stopped', () => {
+    const scope = Vue.effectScope()
+    let a, b
+    scope.run(() => {
+      a = Vue.effectScope()
+      b = Vue.effectScope()
+    })
+    a.stop()
+    expect(scope.scopes).toEqual([b])
+    b.stop()
+    expect(scope.scopes.length).toBe(0)
+  })
+
+  it('should warn when running an inactive scope', () => {
+    const scope = Vue.effectScope()
+    scope.stop()
+    expect(scope.run(() => 1)).toBeUndefined()
+    expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,130 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', () => {
+    const state = Vue.reactive({ count: 0, nested: { a: 1 } })
+    expect(state.__ob__).toBeDefined()
+    expect(state.nested.__ob__).toBeDefined()
+    Vue.reactive(1)
+    expect('value cannot be made reactive: 1').toHaveBeenWarned()
+  })
+
+  it('markRaw', () => {
+    const chart = Vue.markRaw({ series: [{ data: [] }] })
+    expect(Vue.reactive({ chart }).chart.__ob__).toBeUndefined()
+    expect(chart.series.__ob__).toBeUndefined()
+    const vm = new Vue({
+      data: { chart }
+    })
+    expect(vm.chart).toBe(chart)
+    expect(chart.__ob__).toBeUndefined()
+    expect(Object.keys(chart)).toEqual(['series'])
+    Vue.reactive(chart)
+    expect('value cannot be made reactive').toHaveBeenWarned()
+  })
+
+  it('markRaw objects should not be traversed', done => {
+    const chart = Vue.markRaw({})
+    Object.defineProperty(chart, 'internal', {
+      enumerable: true,
+      get: jasmine.createSpy('internal getter')
+    })
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { config: { chart, n: 1 } },
+      watch: {
+        config: { handler: spy, deep: true }
+      }
+    })
+    vm.config.n++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+      expect(Object.getOwnPropertyDescriptor(chart, 'internal').get).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('ref', () => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(Vue.isRef({ value: 0 })).toBe(false)
+    expect(count.value).toBe(0)
+    // nested objects should be reactive
+    const obj = Vue.ref({ a: 1 })
+    expect(obj.value.__ob__).toBeDefined()
+    // should not re-wrap refs
+    expect(Vue.ref(count)).toBe(count)
+  })
+
+  it('computed', () => {
+    const state = Vue.reactive({ count: 1 })
+    const getter = jasmine.createSpy().and.callFake(() => state.count * 2)
+    const double = Vue.computed(getter)
+    expect(getter).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(getter.calls.count()).toBe(1)
+    state.count++
+    expect(double.value).toBe(4)
+    expect(getter.calls.count()).toBe(2)
+    double.value = 10
+    expect('computed value is readonly').toHaveBeenWarned()
+  })
+
+  it('writable computed', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    expect(plusOne.value).toBe(2)
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('effect', () => {
+    const state = Vue.reactive({ count: 0 })
+    const double = Vue.computed(() => state.count * 2)
+    let dummy
+    const runner = Vue.effect(() => {
+      dummy = double.value
+      return dummy
+    })
+    expect(dummy).toBe(0)
+    // sync by default
+    state.count++
+    expect(dummy).toBe(2)
+    expect(runner()).toBe(2)
+    Vue.stop(runner)
+    state.count++
+    expect(dummy).toBe(2)
+    // stopped runners still run the function when called manually
+    expect(runner()).toBe(4)
+  })
+
+  it('effect with sync: false', done => {
+    const count = Vue.ref(0)
+    const spy = jasmine.createSpy().and.callFake(() => count.value)
+    Vue.effect(spy, { sync: false })
+    expect(spy.calls.count()).toBe(1)
+    count.value++
+    count.value++
+    expect(spy.calls.count()).toBe(1)
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('should be usable in components', done => {
+    const count = Vue.ref(0)
+    const double = Vue.computed(() => count.value * 2)
+    const vm = new Vue({
+      render: h => h('div', double.value)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2')
+    }).then(done)
+  })
+})
@@ -0,0 +1,214 @@
+import Vue from 'vue'
+
+describe('Global API: readonly / shallowReactive', () => {
+  describe('readonly', () => {
+    it('should read through to the original', () => {
+      const original = Vue.reactive({ a: 1, nested: { b: 2 } })
+      const view = Vue.readonly(original)
+      expect(view).not.toBe(original)
+      expect(view.a).toBe(1)
+      expect(view.nested.b).toBe(2)
+      original.a = 2
+      expect(view.a).toBe(2)
+      // should return cached view
+      expect(Vue.readonly(original)).toBe(view)
+      expect(Vue.readonly(view)).toBe(view)
+      expect(view.nested).toBe(view.nested)
+      expect(Object.keys(view)).toEqual(['a', 'nested'])
+    })
+
+    it('should warn on writes', () => {
+      const original = Vue.reactive({ a: 1, nested: { b: 2 } })
+      const view = Vue.readonly(original)
+      view.a = 2
+      expect('Set operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+      expect(original.a).toBe(1)
+      view.nested.b = 3
+      expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+      expect(original.nested.b).toBe(2)
+      Vue.set(view, 'c', 1)
+      expect('Set operation on key "c" failed: target is readonly.').toHaveBeenWarned()
+      expect(original.c).toBeUndefined()
+      Vue.delete(view, 'a')
+      expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.a).toBe(1)
+    })
+
+    it('should reject array mutations', () => {
+      const original = Vue.reactive({ list: [1, 2] })
+      const view = Vue.readonly(original)
+      expect(Array.isArray(view.list)).toBe(true)
+      expect(view.list.length).toBe(2)
+      view.list.push(3)
+      expect('Array method "push" failed: target is readonly.').toHaveBeenWarned()
+      view.list[0] = 0
+      expect('Set operation on index 0 failed: target is readonly.').toHaveBeenWarned()
+      expect(original.list).toEqual([1, 2])
+      // mutations on the original should be reflected
+      original.list.push(3)
+      expect(view.list.length).toBe(3)
+      expect(view.list[2]).toBe(3)
+      original.list.splice(0, 2)
+      expect(view.list.length).toBe(1)
+      expect(view.list[0]).toBe(3)
+    })
+
+    it('should reject writes to the length of arrays', () => {
+      const original = Vue.reactive([1, 2])
+      const view = Vue.readonly(original)
+      view.length = 0
+      expect('Set operation on key "length" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.length).toBe(2)
+      expect(view[1]).toBe(2)
+    })
+
+    it('should reject new keys', () => {
+      const view = Vue.readonly({ a: 1, list: [1] })
+      view.b = 1
+      expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+      expect('b' in view).toBe(false)
+      view.list[1] = 2
+      expect('Set operation on key "1" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.list.length).toBe(1)
+      Object.defineProperty(view, 'c', { value: 1 })
+      expect('Define operation on key "c" failed: target is readonly.').toHaveBeenWarned()
+      delete view.a
+      expect('Delete operation on key "a" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.a).toBe(1)
+    })
+
+    it('should reflect keys added or deleted on the original', () => {
+      const original = Vue.reactive({ a: 1 })
+      const view = Vue.readonly(original)
+      Vue.set(original, 'b', 2)
+      expect(view.b).toBe(2)
+      Vue.delete(original, 'a')
+      expect('a' in view).toBe(false)
+    })
+
+    it('should reject Map and Set mutations', () => {
+      const original = Vue.reactive({ map: new Map([['a', { b: 1 }]]), set: new Set([1]) })
+      const view = Vue.readonly(original)
+      expect(view.map.get('a').b).toBe(1)
+      expect(view.map.has('a')).toBe(true)
+      expect(view.map.size).toBe(1)
+      expect(Array.from(view.map.keys())).toEqual(['a'])
+      view.map.set('b', 2)
+      expect('Map method "set" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.map.delete('a')).toBe(false)
+      expect('Map method "delete" failed: target is readonly.').toHaveBeenWarned()
+      view.map.clear()
+      expect('Map method "clear" failed: target is readonly.').toHaveBeenWarned()
+      expect(original.map.size).toBe(1)
+      // entries are readonly as well
+      view.map.get('a').b = 2
+      expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+      view.map.forEach(value => { value.b = 3 })
+      for (const [, value] of view.map) {
+        value.b = 4
+      }
+      expect(original.map.get('a').b).toBe(1)
+
+      view.set.add(2)
+      expect('Set method "add" failed: target is readonly.').toHaveBeenWarned()
+      expect(view.set.has(2)).toBe(false)
+      expect(Array.from(view.set)).toEqual([1])
+      original.set.add(3)
+      expect(view.set.size).toBe(2)
+    })
+
+    it('should track collection reads in render', done => {
+      const store = Vue.reactive({ map: new Map() })
+      const state = Vue.readonly(store)
+      const vm = new Vue({
+        render: h => h('div', `${state.map.get('a')}-${state.map.size}`)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('undefined-0')
+      store.map.set('a', 1)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1-1')
+      }).then(done)
+    })
+
+    it('should throw in strict mode', () => {
+      Vue.config.strict = true
+      const view = Vue.readonly({ a: 1, list: [] })
+      try {
+        expect(() => { view.a = 2 }).toThrowError(TypeError, 'Set operation on key "a" failed: target is readonly.')
+        expect(() => view.list.pop()).toThrowError(TypeError, 'Array method "pop" failed: target is readonly.')
+      } finally {
+        Vue.config.strict = false
+      }
+    })
+
+    it('should track reads in render', done => {
+      const store = Vue.reactive({ count: 0, list: [] })
+      const state = Vue.readonly(store)
+      const vm = new Vue({
+        render: h => h('div', `${state.count}-${state.list.length}`)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('0-0')
+      store.count++
+      store.list.push(1)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1-1')
+      }).then(done)
+    })
+
+    it('should not be observed', () => {
+      const view = Vue.readonly({ a: 1 })
+      const vm = new Vue({
+        data: { view }
+      })
+      expect(vm.view).toBe(view)
+      expect(view.__ob__).toBeUndefined()
+    })
+
+    it('should warn non-object values', () => {
+      expect(Vue.readonly(1)).toBe(1)
+      expect('value cannot be made readonly: 1').toHaveBeenWarned()
+    })
+  })
+
+  describe('shallowReactive', () => {
+    it('should only make top-level keys reactive', () => {
+      const nested = { b: 1 }
+      const state = Vue.shallowReactive({ a: 1, nested, list: [{}] })
+      expect(state.__ob__).toBeDefined()
+      expect(nested.__ob__).toBeUndefined()
+      expect(state.list.__ob__).toBeUndefined()
+      const obj = {}
+      state.nested = obj
+      expect(obj.__ob__).toBeUndefined()
+      Vue.set(state, 'c', {})
+      expect(state.c.__ob__).toBeUndefined()
+    })
+
+    it('should trigger on top-level changes only', done => {
+      const state = Vue.shallowReactive({ nested: { a: 1 } })
+      const spy = jasmine.createSpy()
+      const vm = new Vue({
+        render (h) {
+          spy()
+          return h('div', state.nested.a)
+        }
+      }).$mount()
+      state.nested.a = 2
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        state.nested = { a: 3 }
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(vm.$el.textContent).toBe('3')
+      }).then(done)
+    })
+
+    it('should not observe inserted array items', () => {
+      const list = Vue.shallowReactive([])
+      const item = {}
+      list.push(item)
+      expect(list.__ob__).toBeDefined()
+      expect(item.__ob__).toBeUndefined()
+    })
+  })
+})
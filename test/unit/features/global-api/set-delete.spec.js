@@ -167,4 +167,66 @@ describe('Global API: set/delete', () => {
       }).then(done)
     })
   })
+
+  describe('Vue.setPath', () => {
+    it('should set nested properties', done => {
+      const vm = new Vue({
+        template: '<div>{{ form.fields[1].name }}</div>',
+        data: { form: { fields: [{ name: 'a' }, { name: 'b' }] }}
+      }).$mount()
+      expect(Vue.setPath(vm.form, 'fields[1].name', 'c')).toBe('c')
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('c')
+      }).then(done)
+    })
+
+    it('should create missing objects and arrays reactively', done => {
+      const vm = new Vue({
+        template: '<div>{{ form.user && form.user.tags[1].label }}</div>',
+        data: { form: {}}
+      }).$mount()
+      Vue.setPath(vm.form, 'user.tags[1].label', 'x')
+      expect(Array.isArray(vm.form.user.tags)).toBe(true)
+      expect(vm.form.user.tags.length).toBe(2)
+      expect(vm.form.user.tags[1]).toEqual({ label: 'x' })
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('x')
+        vm.form.user.tags[1].label = 'y'
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('y')
+      }).then(done)
+    })
+
+    it('should warn invalid paths', () => {
+      const obj = { a: 1 }
+      Vue.setPath(obj, 'list.*.a', 1)
+      expect('Invalid path "list.*.a" passed to Vue.setPath').toHaveBeenWarned()
+      Vue.setPath(obj, 'a.b', 1)
+      expect('Cannot set path "a.b": "a" is a primitive value.').toHaveBeenWarned()
+      expect(obj).toEqual({ a: 1 })
+    })
+  })
+
+  describe('Vue.deletePath', () => {
+    it('should delete nested properties', done => {
+      const vm = new Vue({
+        template: '<div>{{ form.fields[0].name }}-{{ form.fields.length }}</div>',
+        data: { form: { fields: [{ name: 'a' }, { name: 'b' }] }}
+      }).$mount()
+      Vue.deletePath(vm.form, 'fields[0].name')
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('-2')
+        Vue.deletePath(vm.form, 'fields[0]')
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('b-1')
+      }).then(done)
+    })
+
+    it('should ignore missing paths', () => {
+      const obj = { a: {}}
+      Vue.deletePath(obj, 'a.b.c')
+      Vue.deletePath(obj, 'x[1]')
+      expect(obj).toEqual({ a: {}})
+    })
+  })
 })
@@ -0,0 +1,131 @@
+import Vue from 'vue'
+
+describe('Global API: snapshot / restore', () => {
+  it('should create a deep non-reactive copy', () => {
+    const date = new Date()
+    const state = Vue.reactive({
+      a: 1,
+      nested: { list: [{ b: 1 }] },
+      map: new Map([['k', { c: 1 }]]),
+      set: new Set([1]),
+      date
+    })
+    const snap = Vue.snapshot(state)
+    expect(snap).toEqual({
+      a: 1,
+      nested: { list: [{ b: 1 }] },
+      map: new Map([['k', { c: 1 }]]),
+      set: new Set([1]),
+      date
+    })
+    expect(snap.__ob__).toBeUndefined()
+    expect(snap.nested.list.__ob__).toBeUndefined()
+    expect(snap.nested.list[0]).not.toBe(state.nested.list[0])
+    expect(snap.map.get('k').__ob__).toBeUndefined()
+    // non-plain objects are kept by reference
+    expect(snap.date).toBe(date)
+  })
+
+  it('should not collect dependencies', () => {
+    const state = Vue.reactive({ a: 1 })
+    const spy = jasmine.createSpy()
+    Vue.effect(() => {
+      spy()
+      Vue.snapshot(state)
+    })
+    state.a++
+    expect(spy.calls.count()).toBe(1)
+  })
+
+  it('should warn on circular structures', () => {
+    const state = { a: {} }
+    state.a.parent = state
+    expect(Vue.snapshot(state)).toEqual({ a: { parent: undefined } })
+    expect('Cannot snapshot circular structures').toHaveBeenWarned()
+  })
+
+  it('should restore state', () => {
+    const state = Vue.reactive({
+      a: 1,
+      nested: { b: 1 },
+      list: [1, { c: 1 }],
+      map: new Map([['k', 1]]),
+      set: new Set([1])
+    })
+    const nested = state.nested
+    const snap = Vue.snapshot(state)
+    state.a = 2
+    state.nested.b = 2
+    Vue.set(state.nested, 'extra', 1)
+    state.list.push(3)
+    state.list[1].c = 2
+    state.map.set('k', 2)
+    state.map.set('k2', 1)
+    state.set.add(2)
+    Vue.set(state, 'added', true)
+    Vue.restore(state, snap)
+    expect(Vue.snapshot(state)).toEqual(snap)
+    // nested objects are updated in place
+    expect(state.nested).toBe(nested)
+    // restored values are reactive copies
+    expect(state.list[1]).not.toBe(snap.list[1])
+    expect(state.list[1].__ob__).toBeDefined()
+    // the snapshot can be restored again
+    state.list.pop()
+    Vue.restore(state, snap)
+    expect(state.list.length).toBe(2)
+  })
+
+  it('should only notify changed state', () => {
+    const state = Vue.reactive({ a: 1, b: { c: 1 }, list: [{ d: 1 }] })
+    const snap = Vue.snapshot(state)
+    const a = jasmine.createSpy('a')
+    const c = jasmine.createSpy('c')
+    const list = jasmine.createSpy('list')
+    const d = jasmine.createSpy('d')
+    Vue.effect(() => a(state.a))
+    Vue.effect(() => c(state.b.c))
+    Vue.effect(() => list(state.list.length))
+    Vue.effect(() => d(state.list[0].d))
+    state.a = 2
+    state.list[0].d = 2
+    a.calls.reset()
+    c.calls.reset()
+    list.calls.reset()
+    d.calls.reset()
+    Vue.restore(state, snap)
+    expect(a.calls.count()).toBe(1)
+    expect(a).toHaveBeenCalledWith(1)
+    expect(d.calls.count()).toBe(1)
+    expect(d).toHaveBeenCalledWith(1)
+    expect(c).not.toHaveBeenCalled()
+    // the list itself was only restored in place
+    expect(list).not.toHaveBeenCalled()
+  })
+
+  it('should re-render once', done => {
+    const render = jasmine.createSpy('render')
+    const vm = new Vue({
+      data: { items: [{ text: 'a' }], title: 'x' },
+      render (h) {
+        render()
+        return h('div', this.title + this.items.map(i => i.text).join())
+      }
+    }).$mount()
+    const snap = Vue.snapshot(vm.$data)
+    vm.title = 'y'
+    vm.items.push({ text: 'b' })
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('ya,b')
+      Vue.restore(vm.$data, snap)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('xa')
+      expect(render.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('should warn when the types do not match', () => {
+    Vue.restore(Vue.reactive({}), [])
+    expect('Cannot restore a snapshot of type Array onto a value of type Object').toHaveBeenWarned()
+  })
+})
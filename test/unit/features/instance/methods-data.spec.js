@@ -120,9 +120,58 @@ describe('Instance methods data', () => {
       expect(spy).toHaveBeenCalledWith('ok')
     })
 
+    it('multiple sources', done => {
+      vm.$set(vm.a, 'c', 1)
+      vm.$watch(['a.b', function () { return this.a.c }], spy)
+      vm.a.b = 2
+      vm.a.c = 2
+      waitForUpdate(() => {
+        // once per flush
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([2, 2], [1, 1])
+        vm.a.c = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith([2, 3], [2, 2])
+        // no source changed
+        vm.a.c = 4
+        vm.a.c = 3
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch(['a.b', '유니코드.なまえ'], spy, { immediate: true })
+      expect(spy).toHaveBeenCalledWith([1, 'ok'])
+    })
+
+    it('warn expression in multiple sources', () => {
+      vm.$watch(['a.b', 'a + b'], spy)
+      expect('Failed watching path: "a + b"').toHaveBeenWarned()
+    })
+
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    it('onTrack / onTrigger', done => {
+      const tracked = []
+      const triggered = []
+      vm.$watch('a.b', spy, {
+        onTrack: e => tracked.push([e.target, e.type, e.key]),
+        onTrigger: e => triggered.push([e.target, e.type, e.key, e.newValue, e.oldValue])
+      })
+      expect(tracked).toEqual([
+        [vm._data, 'get', 'a'],
+        [vm.a, 'get', 'b']
+      ])
+      vm.a.b = 2
+      expect(triggered).toEqual([[vm.a, 'set', 'b', 2, 1]])
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(2, 1)
+      }).then(done)
+    })
   })
 })
@@ -206,6 +206,298 @@ describe('Options computed', () => {
     expect(`computed property "a" is already defined as a prop`).toHaveBeenWarned()
   })
 
+  it('onTrack / onTrigger', () => {
+    const events = []
+    const vm = new Vue({
+      data: {
+        a: 1,
+        b: {}
+      },
+      computed: {
+        c: {
+          get () {
+            return this.a + (this.b.c || 0)
+          },
+          onTrack (e) {
+            events.push(['track', e.type, e.key, this])
+          },
+          onTrigger (e) {
+            events.push(['trigger', e.type, e.key, this])
+          }
+        }
+      }
+    })
+    expect(vm.c).toBe(1)
+    expect(events).toEqual([
+      ['track', 'get', 'a', vm],
+      ['track', 'get', 'b', vm]
+    ])
+    events.length = 0
+    vm.$set(vm.b, 'c', 1)
+    expect(events).toEqual([['trigger', 'add', 'c', vm]])
+    expect(vm.c).toBe(2)
+    events.length = 0
+    vm.a = 2
+    expect(events).toEqual([['trigger', 'set', 'a', vm]])
+  })
+
+  describe('equals', () => {
+    const sameItems = (a, b) => a.length === b.length && a.every((v, i) => v === b[i])
+
+    it('should not notify dependents when the value is equal', done => {
+      const render = jasmine.createSpy('render')
+      const vm = new Vue({
+        data: { items: [1, 2, 3], min: 0 },
+        computed: {
+          filtered: {
+            get () {
+              return this.items.filter(i => i > this.min)
+            },
+            equals: sameItems
+          }
+        },
+        render (h) {
+          render()
+          return h('div', this.filtered.join())
+        }
+      }).$mount()
+      vm.min = -1
+      waitForUpdate(() => {
+        expect(render.calls.count()).toBe(1)
+        vm.min = 1
+      }).then(() => {
+        expect(render.calls.count()).toBe(2)
+        expect(vm.$el.textContent).toBe('2,3')
+        vm.items.push(4)
+      }).then(() => {
+        expect(render.calls.count()).toBe(3)
+        expect(vm.$el.textContent).toBe('2,3,4')
+      }).then(done)
+    })
+
+    it('should stay lazy without dependents', () => {
+      const getter = jasmine.createSpy().and.callFake(function () {
+        return this.items.filter(i => i > this.min)
+      })
+      const vm = new Vue({
+        data: { items: [1, 2, 3], min: 0 },
+        computed: {
+          filtered: { get: getter, equals: sameItems }
+        }
+      })
+      expect(vm.filtered).toEqual([1, 2, 3])
+      vm.min = 1
+      vm.min = 2
+      expect(getter.calls.count()).toBe(1)
+      expect(vm.filtered).toEqual([3])
+      expect(getter.calls.count()).toBe(2)
+    })
+
+    it('should notify user watchers only on change', done => {
+      const spy = jasmine.createSpy('watcher')
+      const vm = new Vue({
+        data: { n: 1 },
+        computed: {
+          parity: {
+            get () {
+              return { odd: this.n % 2 === 1 }
+            },
+            equals: (a, b) => a.odd === b.odd
+          }
+        },
+        watch: {
+          parity: spy
+        }
+      })
+      vm.n = 3
+      waitForUpdate(() => {
+        expect(spy).not.toHaveBeenCalled()
+        vm.n = 4
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy.calls.argsFor(0)[0]).toEqual({ odd: false })
+      }).then(done)
+    })
+
+    it('should let dependents run into getter errors', () => {
+      const vm = new Vue({
+        data: { fail: false },
+        computed: {
+          value: {
+            get () {
+              if (this.fail) throw new Error('oops')
+              return 1
+            },
+            equals: (a, b) => a === b
+          }
+        }
+      })
+      const spy = jasmine.createSpy()
+      vm.$watch('value', spy, { sync: true })
+      vm.fail = true
+      expect('Error in getter for watcher "value"').toHaveBeenWarned()
+      expect('Error: oops').toHaveBeenWarned()
+      expect(() => vm.value).toThrowError('oops')
+    })
+
+    it('should compare lazily when dependents run', done => {
+      const getter = jasmine.createSpy().and.callFake(function () {
+        return this.items.filter(i => i > this.min)
+      })
+      const render = jasmine.createSpy('render')
+      const vm = new Vue({
+        data: { items: [1, 2, 3], min: 0 },
+        computed: {
+          filtered: { get: getter, equals: sameItems }
+        },
+        render (h) {
+          render()
+          return h('div', this.filtered.join())
+        }
+      }).$mount()
+      const filtered = vm.filtered
+      Vue.batch(() => {
+        for (let i = 1; i <= 5; i++) vm.min = -i
+      })
+      expect(getter.calls.count()).toBe(1)
+      vm.min = 0
+      vm.min = -1
+      expect(getter.calls.count()).toBe(1)
+      waitForUpdate(() => {
+        expect(getter.calls.count()).toBe(2)
+        expect(render.calls.count()).toBe(1)
+        // the equal value is kept
+        expect(vm.filtered).toBe(filtered)
+        vm.min = 2
+      }).then(() => {
+        expect(getter.calls.count()).toBe(3)
+        expect(render.calls.count()).toBe(2)
+        expect(vm.$el.textContent).toBe('3')
+      }).then(done)
+    })
+  })
+
+  describe('async', () => {
+    function createVm () {
+      const pending = []
+      const vm = new Vue({
+        data: { q: 'a' },
+        computed: {
+          upper () {
+            const q = this.q
+            return new Promise((resolve, reject) => {
+              pending.push({
+                resolve: () => resolve(q.toUpperCase()),
+                reject
+              })
+            })
+          },
+          sync () {
+            return this.q
+          }
+        }
+      })
+      return { vm, pending }
+    }
+
+    it('should expose pending state and resolved value', done => {
+      const { vm, pending } = createVm()
+      expect(vm.upper).toBeUndefined()
+      expect(vm.$computedState.upper.pending).toBe(true)
+      // cached while dependencies do not change
+      expect(vm.upper).toBeUndefined()
+      expect(pending.length).toBe(1)
+      pending[0].resolve()
+      Promise.resolve().then(() => {
+        expect(vm.$computedState.upper.pending).toBe(false)
+        expect(vm.$computedState.upper.value).toBe('A')
+        expect(vm.upper).toBe('A')
+        vm.q = 'b'
+        // keeps the previous value while re-evaluating
+        expect(vm.upper).toBe('A')
+        expect(vm.$computedState.upper.pending).toBe(true)
+        pending[1].resolve()
+      }).then(() => {
+        expect(vm.upper).toBe('B')
+        // sync computed properties are left alone
+        expect(vm.sync).toBe('b')
+        expect(vm.$computedState.sync.pending).toBe(false)
+      }).then(done)
+    })
+
+    it('should evaluate when only the state is read', done => {
+      const { vm, pending } = createVm()
+      expect(vm.$computedState.upper.pending).toBe(true)
+      expect(pending.length).toBe(1)
+      pending[0].resolve()
+      Promise.resolve().then(() => {
+        expect(vm.$computedState.upper.value).toBe('A')
+        vm.q = 'b'
+        expect(vm.$computedState.upper.pending).toBe(true)
+        expect(pending.length).toBe(2)
+      }).then(done)
+    })
+
+    it('should discard stale results', done => {
+      const { vm, pending } = createVm()
+      expect(vm.upper).toBeUndefined()
+      vm.q = 'b'
+      // resolved after its dependencies changed, not yet re-evaluated
+      pending[0].resolve()
+      Promise.resolve().then(() => {
+        expect(vm.$computedState.upper.value).toBeUndefined()
+        expect(vm.upper).toBeUndefined()
+        vm.q = 'c'
+        expect(vm.upper).toBeUndefined()
+        // superseded by a newer evaluation
+        pending[1].resolve()
+        pending[2].resolve()
+      }).then(() => {
+        expect(vm.upper).toBe('C')
+        expect(vm.$computedState.upper.pending).toBe(false)
+      }).then(done)
+    })
+
+    it('should expose errors', done => {
+      const { vm, pending } = createVm()
+      expect(vm.upper).toBeUndefined()
+      const err = new Error('failed')
+      pending[0].reject(err)
+      Promise.resolve().then(() => {
+        expect(vm.$computedState.upper.error).toBe(err)
+        expect(vm.$computedState.upper.pending).toBe(false)
+        vm.q = 'b'
+        expect(vm.upper).toBeUndefined()
+        expect(vm.$computedState.upper.error).toBe(null)
+      }).then(done)
+    })
+
+    it('should update the view', done => {
+      let resolve
+      const vm = new Vue({
+        data: { q: 'a' },
+        computed: {
+          upper () {
+            const q = this.q
+            return new Promise(r => { resolve = () => r(q.toUpperCase()) })
+          }
+        },
+        render (h) {
+          const value = this.upper
+          return h('div', this.$computedState.upper.pending ? 'loading' : value)
+        }
+      }).$mount()
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('loading')
+        resolve()
+      }).then(() => {
+        // resolved value is rendered in the following tick
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('A')
+      }).then(done)
+    })
+  })
+
   it('rethrow computed error', () => {
     const vm = new Vue({
       computed: {
@@ -216,4 +508,104 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  describe('with config.releaseIdleComputed', () => {
+    beforeEach(() => {
+      Vue.config.releaseIdleComputed = true
+    })
+
+    afterEach(() => {
+      Vue.config.releaseIdleComputed = false
+    })
+
+    it('should release dependencies once nothing reads it', done => {
+      const vm = new Vue({
+        data: { show: true, a: 1 },
+        template: `<div>{{ show ? double : '' }}</div>`,
+        computed: {
+          double () {
+            return this.a * 2
+          }
+        }
+      }).$mount()
+      const watcher = vm._computedWatchers.double
+      expect(vm.$el.textContent).toBe('2')
+      expect(watcher.deps.length).toBe(1)
+      vm.show = false
+      waitForUpdate(() => {
+        expect(watcher.deps.length).toBe(0)
+        expect(watcher.value).toBeUndefined()
+        vm.a = 2
+        vm.show = true
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('4')
+        expect(watcher.deps.length).toBe(1)
+        vm.a = 3
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('6')
+      }).then(done)
+    })
+
+    it('should not stay subscribed when read outside of watchers', () => {
+      const spy = jasmine.createSpy('double')
+      const vm = new Vue({
+        data: { a: 1 },
+        computed: {
+          double () {
+            spy()
+            return this.a * 2
+          }
+        }
+      })
+      const watcher = vm._computedWatchers.double
+      expect(vm.double).toBe(2)
+      expect(watcher.deps.length).toBe(0)
+      vm.a = 2
+      expect(vm.double).toBe(4)
+      // idle computed properties are not cached
+      expect(vm.double).toBe(4)
+      expect(spy.calls.count()).toBe(3)
+    })
+
+    it('should release computed properties it depends on', done => {
+      const vm = new Vue({
+        data: { show: true, a: 1 },
+        template: `<div>{{ show ? quadruple : '' }}</div>`,
+        computed: {
+          double () {
+            return this.a * 2
+          },
+          quadruple () {
+            return this.double * 2
+          }
+        }
+      }).$mount()
+      const { double, quadruple } = vm._computedWatchers
+      expect(vm.$el.textContent).toBe('4')
+      expect(double.deps.length).toBe(1)
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('8')
+        vm.show = false
+      }).then(() => {
+        expect(quadruple.deps.length).toBe(0)
+        expect(double.deps.length).toBe(0)
+      }).then(done)
+    })
+
+    it('should notify watchers', () => {
+      const spy = jasmine.createSpy('watch')
+      const vm = new Vue({
+        data: { a: 1 },
+        computed: {
+          double () {
+            return this.a * 2
+          }
+        }
+      })
+      vm.$watch('double', spy, { sync: true })
+      vm.a = 2
+      expect(spy).toHaveBeenCalledWith(4, 2)
+    })
+  })
 })
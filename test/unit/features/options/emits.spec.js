@@ -0,0 +1,144 @@
+import Vue from 'vue'
+import testObjectOption from '../../../helpers/test-object-option'
+
+describe('Options emits', () => {
+  testObjectOption('emits')
+
+  it('should not warn declared events', () => {
+    const vm = new Vue({
+      emits: ['foo']
+    })
+    vm.$emit('foo', 1)
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should warn undeclared events', () => {
+    const vm = new Vue({
+      emits: ['foo']
+    })
+    vm.$emit('bar')
+    expect('Component emitted event "bar" but it is not declared in the emits option.').toHaveBeenWarned()
+  })
+
+  it('should not warn without emits option', () => {
+    const vm = new Vue({})
+    vm.$emit('bar')
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should not warn lifecycle hook events', () => {
+    const vm = new Vue({
+      emits: [],
+      template: '<div></div>'
+    })
+    vm.$on('hook:mounted', () => {})
+    vm.$mount()
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should validate payloads', () => {
+    const validator = jasmine.createSpy('validator').and.callFake(n => n > 0)
+    const vm = new Vue({
+      emits: {
+        foo: validator,
+        bar: null
+      }
+    })
+    vm.$emit('foo', 1, 2)
+    expect(validator).toHaveBeenCalledWith(1, 2)
+    expect('Invalid payload').not.toHaveBeenWarned()
+    vm.$emit('foo', -1)
+    expect('Invalid payload for event "foo": validation failed.').toHaveBeenWarned()
+    vm.$emit('bar')
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should match camelCase and kebab-case event names', () => {
+    const validator = jasmine.createSpy('validator').and.returnValue(true)
+    const vm = new Vue({
+      emits: {
+        myEvent: validator,
+        'other-event': null
+      }
+    })
+    vm.$emit('my-event', 1)
+    vm.$emit('otherEvent')
+    expect(validator).toHaveBeenCalledWith(1)
+    expect('not declared').not.toHaveBeenWarned()
+  })
+
+  it('should handle errors thrown by validators', () => {
+    const err = new Error('validator')
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const onFoo = jasmine.createSpy('foo')
+    const vm = new Vue({
+      emits: {
+        foo () { throw err }
+      }
+    })
+    vm.$on('foo', onFoo)
+    try {
+      expect(() => vm.$emit('foo', 1)).not.toThrow()
+      expect(spy).toHaveBeenCalledWith(err, vm, 'emits validator for "foo"')
+      expect(onFoo).toHaveBeenCalledWith(1)
+    } finally {
+      Vue.config.errorHandler = null
+    }
+  })
+
+  it('should warn invalid validators', () => {
+    new Vue({
+      emits: { foo: true }
+    })
+    expect('Invalid validator for event "foo" in option "emits"').toHaveBeenWarned()
+  })
+
+  it('should merge with mixins and extends', () => {
+    const vm = new Vue({
+      mixins: [{ emits: ['foo'] }],
+      extends: { emits: { bar: null }},
+      emits: ['baz']
+    })
+    expect(Object.keys(vm.$options.emits).sort()).toEqual(['bar', 'baz', 'foo'])
+  })
+
+  it('should leave declared events out of $listeners', done => {
+    const onFoo = jasmine.createSpy('foo')
+    const onClick = jasmine.createSpy('click')
+    const vm = new Vue({
+      template: '<child @foo="onFoo" @click.once="onClick" @bar="onFoo"></child>',
+      methods: { onFoo, onClick },
+      components: {
+        child: {
+          emits: ['foo', 'click'],
+          template: '<button v-on="$listeners" @click="$emit(\'click\')"></button>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['bar'])
+    // click is not bound to the button through $listeners
+    vm.$el.click()
+    expect(onClick.calls.count()).toBe(1)
+    child.$emit('foo', 1)
+    expect(onFoo).toHaveBeenCalledWith(1)
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual(['bar'])
+    }).then(done)
+  })
+
+  it('should leave kebab-case listeners of camelCase events out of $listeners', () => {
+    const vm = new Vue({
+      template: '<child @my-event="noop" @other="noop"></child>',
+      methods: { noop () {} },
+      components: {
+        child: {
+          emits: ['myEvent'],
+          template: '<div></div>'
+        }
+      }
+    }).$mount()
+    expect(Object.keys(vm.$children[0].$listeners)).toEqual(['other'])
+  })
+})
@@ -0,0 +1,145 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should bind returned state onto the instance', done => {
+    const vm = new Vue({
+      template: '<div>{{ count }}-{{ state.label }}</div>',
+      setup () {
+        const count = Vue.ref(0)
+        const state = Vue.reactive({ label: 'a' })
+        const increment = () => { count.value++ }
+        return { count, state, increment }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0-a')
+    vm.increment()
+    vm.state.label = 'b'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1-b')
+      // assigning to a ref property sets its value
+      vm.count = 5
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5-b')
+    }).then(done)
+  })
+
+  it('should receive props and context', done => {
+    const changed = jasmine.createSpy('change')
+    let context
+    const vm = new Vue({
+      template: '<comp :step="step" title="t" @change="changed">hi</comp>',
+      data: { step: 1 },
+      methods: { changed },
+      components: {
+        comp: {
+          props: ['step'],
+          template: '<div>{{ total }}</div>',
+          setup (props, ctx) {
+            context = ctx
+            const total = Vue.computed(() => props.step * 10)
+            return { total }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('10')
+    expect(context.attrs).toEqual({ title: 't' })
+    expect(context.slots.default[0].text).toBe('hi')
+    context.emit('change', 1)
+    expect(changed).toHaveBeenCalledWith(1)
+    vm.step = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('20')
+    }).then(done)
+  })
+
+  it('should run before data and computed', () => {
+    const vm = new Vue({
+      setup () {
+        return { count: Vue.ref(1) }
+      },
+      data () {
+        return { initial: this.count }
+      },
+      computed: {
+        double () {
+          return this.count * 2
+        }
+      }
+    })
+    expect(vm.initial).toBe(1)
+    expect(vm.double).toBe(2)
+    vm.count = 2
+    expect(vm.double).toBe(4)
+  })
+
+  it('should use a returned function as render function', done => {
+    const count = Vue.ref(0)
+    const vm = new Vue({
+      setup () {
+        return h => h('div', count.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should stop effects created in setup on destroy', () => {
+    const spy = jasmine.createSpy('effect')
+    const state = Vue.reactive({ a: 1 })
+    const vm = new Vue({
+      setup () {
+        Vue.effect(() => spy(state.a))
+        expect(Vue.getCurrentScope()).toBeDefined()
+      }
+    })
+    expect(vm._scope.effects.length).toBe(1)
+    state.a = 2
+    expect(spy.calls.count()).toBe(2)
+    vm.$destroy()
+    state.a = 3
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should warn conflicts and reserved keys', () => {
+    new Vue({
+      props: ['a'],
+      propsData: { a: 1 },
+      methods: {
+        b () {}
+      },
+      setup () {
+        return { a: 2, b: 3, _c: 4 }
+      }
+    })
+    expect('setup() property "a" is already declared as a prop.').toHaveBeenWarned()
+    expect('setup() property "b" has already been defined as a method.').toHaveBeenWarned()
+    expect('setup() property "_c" is not bound to the instance.').toHaveBeenWarned()
+  })
+
+  it('should warn invalid return values', () => {
+    new Vue({
+      setup () {
+        return 1
+      }
+    })
+    expect('setup() should return an object or a render function, got number.').toHaveBeenWarned()
+  })
+
+  it('should handle errors', () => {
+    const errorHandler = Vue.config.errorHandler
+    const spy = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const err = new Error('oops')
+    const vm = new Vue({
+      setup () {
+        throw err
+      }
+    })
+    Vue.config.errorHandler = errorHandler
+    expect(vm._setupState).toBeUndefined()
+    expect(spy).toHaveBeenCalledWith(err, vm, 'setup()')
+  })
+})
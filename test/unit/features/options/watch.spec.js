@@ -106,6 +106,174 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with option: deep as depth', done => {
+    const vm = new Vue({
+      data: {
+        config: { a: { b: { c: 1 } }, list: [{ d: 1 }] }
+      },
+      watch: {
+        config: {
+          handler: spy,
+          deep: 2
+        }
+      }
+    })
+    // beyond the depth limit
+    vm.config.a.b.c = 2
+    vm.config.list[0].d = 2
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.config.a.b = { c: 3 }
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      vm.config.list.push({ d: 3 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('with option: deep as depth on multiple sources', done => {
+    const spy2 = jasmine.createSpy('wildcard')
+    const vm = new Vue({
+      data: {
+        a: { x: 1, y: { z: 1 } },
+        b: 1,
+        items: [{ o: { p: 1 } }]
+      },
+      watch: {
+        sources: {
+          sources: ['a', 'b'],
+          handler: spy,
+          deep: 1
+        },
+        'items.*.o': {
+          handler: spy2,
+          deep: 1
+        }
+      }
+    })
+    vm.a.x = 2
+    vm.items[0].o.p = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy2.calls.count()).toBe(1)
+      // beyond the depth limit
+      vm.a.y.z = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('with option: deep as depth on shared objects', done => {
+    const shared = { a: { b: 1 } }
+    const vm = new Vue({
+      data: {
+        root: { deep: { shared }, shared }
+      },
+      watch: {
+        root: {
+          handler: spy,
+          deep: 3
+        }
+      }
+    })
+    // reached at depth 3 through root.shared.a
+    vm.root.shared.a.b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  describe('with option: flush', () => {
+    function createVm (flush) {
+      const seen = []
+      const vm = new Vue({
+        data: { a: 1 },
+        render (h) {
+          return h('div', this.a)
+        }
+      }).$mount()
+      // created after the render watcher
+      vm.$watch('a', () => {
+        seen.push(vm.$el.textContent)
+      }, { flush })
+      return { vm, seen }
+    }
+
+    it('post', done => {
+      const { vm, seen } = createVm('post')
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(seen).toEqual(['2'])
+      }).then(done)
+    })
+
+    it('pre', done => {
+      const { vm, seen } = createVm('pre')
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(seen).toEqual(['1'])
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+
+    it('sync', () => {
+      const { vm, seen } = createVm('sync')
+      vm.a = 2
+      expect(seen).toEqual(['1'])
+    })
+
+    it('post watchers should run after child components are patched', done => {
+      const seen = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div><child :a="a"></child></div>',
+        watch: {
+          a: {
+            handler () {
+              seen.push(this.$el.textContent)
+            },
+            flush: 'post'
+          }
+        },
+        components: {
+          child: {
+            props: ['a'],
+            template: '<span>{{ a }}</span>'
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(seen).toEqual(['2'])
+      }).then(done)
+    })
+
+    it('pre watchers of a child should run before it re-renders', done => {
+      const seen = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div><child :a="a"></child></div>',
+        components: {
+          child: {
+            props: ['a'],
+            template: '<span>{{ a }}</span>',
+            mounted () {
+              this.$watch('a', () => {
+                seen.push(this.$el.textContent)
+              }, { flush: 'pre' })
+            }
+          }
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(seen).toEqual(['1'])
+        expect(vm.$el.textContent).toBe('2')
+      }).then(done)
+    })
+  })
+
   it('correctly merges multiple extends', done => {
     const spy2 = jasmine.createSpy('A')
     const spy3 = jasmine.createSpy('B')
@@ -162,6 +330,115 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('onTrigger option', () => {
+    const triggered = []
+    const vm = new Vue({
+      data: {
+        list: [1]
+      },
+      watch: {
+        list: {
+          handler () {},
+          onTrigger: e => triggered.push([e.target, e.type, e.key])
+        }
+      }
+    })
+    vm.list.push(2)
+    expect(triggered).toEqual([[vm.list, 'array mutation', 'push']])
+    Vue.set(vm.list, 'foo', 1)
+    expect(triggered.length).toBe(2)
+    expect(triggered[1]).toEqual([vm.list, 'add', 'foo'])
+  })
+
+  it('with option: sources', done => {
+    const vm = new Vue({
+      data: {
+        first: 'a',
+        last: 'b'
+      },
+      computed: {
+        upper () {
+          return this.first.toUpperCase()
+        }
+      },
+      watch: {
+        name: {
+          sources: ['first', function () { return this.last }, 'upper'],
+          handler: spy
+        }
+      }
+    })
+    vm.first = 'c'
+    vm.last = 'd'
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith(['c', 'd', 'C'], ['a', 'b', 'A'])
+      expect(spy.calls.mostRecent().object).toBe(vm)
+    }).then(done)
+  })
+
+  it('should support watching array indices', done => {
+    const vm = new Vue({
+      data: {
+        items: [{ price: 1 }, { price: 2 }]
+      },
+      watch: {
+        'items[1].price': spy
+      }
+    })
+    vm.items[0].price = 3
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.items[1].price = 4
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(4, 2)
+      vm.items.splice(1, 1, { price: 5 })
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(5, 4)
+    }).then(done)
+  })
+
+  it('should support watching wildcard paths', done => {
+    const spy2 = jasmine.createSpy('watch')
+    const vm = new Vue({
+      data: {
+        todos: [{ done: false, text: 'a' }, { done: true, text: 'b' }],
+        groups: { a: { size: 1 }, b: { size: 2 }}
+      },
+      watch: {
+        'todos.*.done': spy,
+        'groups.*.size': spy2
+      }
+    })
+    // other keys of the elements are not watched
+    vm.todos[0].text = 'c'
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.todos[0].done = true
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith([true, true], [false, true])
+      vm.todos.push({ done: false })
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith([true, true, false], [true, true])
+      expect(spy.calls.count()).toBe(2)
+      vm.groups.b.size = 3
+      Vue.set(vm.groups, 'c', { size: 4 })
+    }).then(() => {
+      expect(spy2.calls.count()).toBe(1)
+      expect(spy2).toHaveBeenCalledWith([1, 3, 4], [1, 2])
+    }).then(done)
+  })
+
+  it('should warn invalid wildcard paths', () => {
+    new Vue({
+      data: { items: [] },
+      watch: {
+        'items.a*': () => {}
+      }
+    })
+    expect(`Failed watching path: "items.a*"`).toHaveBeenWarned()
+  })
+
   it('should not warn proper usage', () => {
     const vm = new Vue({
       data: {
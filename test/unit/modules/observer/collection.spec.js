@@ -0,0 +1,129 @@
+import Vue from 'vue'
+import { Observer, observe } from 'core/observer/index'
+
+describe('Observer: collections', () => {
+  it('create on Map and Set', () => {
+    const obj = {}
+    const map = new Map([['a', obj]])
+    const ob1 = observe(map)
+    expect(ob1 instanceof Observer).toBe(true)
+    expect(map.__ob__).toBe(ob1)
+    // should've observed values
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+    // should still be a Map
+    expect(map instanceof Map).toBe(true)
+    expect(map.get('a')).toBe(obj)
+    expect(map.size).toBe(1)
+
+    const set = new Set([1, 2])
+    const ob2 = observe(set)
+    expect(ob2 instanceof Observer).toBe(true)
+    expect(set.has(1)).toBe(true)
+    expect(set.size).toBe(2)
+  })
+
+  it('observing Map mutation', () => {
+    const map = new Map()
+    const dep = observe(map).dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    map.set('a', obj)
+    // same value should not notify
+    map.set('a', obj)
+    map.set('b', NaN)
+    map.set('b', NaN)
+    map.delete('a')
+    // deleting a missing key should not notify
+    map.delete('c')
+    map.clear()
+    map.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    // set values should be observed
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set()
+    const dep = observe(set).dep
+    spyOn(dep, 'notify')
+    const obj = {}
+    set.add(obj)
+    set.add(obj)
+    set.delete(obj)
+    set.delete(obj)
+    set.add(1)
+    set.clear()
+    expect(dep.notify.calls.count()).toBe(4)
+    expect(obj.__ob__ instanceof Observer).toBe(true)
+  })
+
+  it('should re-render on Map changes', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', 1]])
+      },
+      template: `<div>{{ map.get('a') }}-{{ map.size }}</div>`
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1-1')
+    vm.map.set('a', 2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2-1')
+      vm.map.set('b', 3)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('2-2')
+      vm.map.clear()
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('-0')
+    }).then(done)
+  })
+
+  it('should re-render on Set changes with v-for', done => {
+    const vm = new Vue({
+      data: {
+        set: new Set(['a', 'b'])
+      },
+      template: `<ul><li v-for="item in set">{{ item }}</li></ul>`
+    }).$mount()
+    expect(vm.$el.textContent).toBe('ab')
+    vm.set.add('c')
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('abc')
+      vm.set.delete('a')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('bc')
+    }).then(done)
+  })
+
+  it('should track nested values read from a Map', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['list', [1]]])
+      },
+      template: `<div>{{ map.get('list').length }}</div>`
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1')
+    vm.map.get('list').push(2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2')
+    }).then(done)
+  })
+
+  it('deep watchers should traverse collections', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { count: 0 }]])
+      },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.map.get('a').count++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+})
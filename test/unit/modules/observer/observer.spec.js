@@ -369,4 +369,100 @@ describe('Observer', () => {
     observe(obj)
     expect(called).toBe(false)
   })
+
+  describe('class instances', () => {
+    class Person {
+      constructor (first, last) {
+        this.first = first
+        this.last = last
+      }
+
+      get name () {
+        return `${this.first} ${this.last}`
+      }
+
+      set name (value) {
+        const parts = value.split(' ')
+        this.first = parts[0]
+        this.last = parts[1]
+      }
+    }
+
+    afterEach(() => {
+      Vue.config.reactivity = 'defineProperty'
+    })
+
+    function testAccessors () {
+      const vm = new Vue({
+        data: { person: new Person('a', 'b') }
+      })
+      const spy = jasmine.createSpy()
+      let keyReads = 0
+      vm.$watch('person.name', spy)
+      vm.$watch(() => {
+        keyReads++
+        return Object.keys(vm.person)
+      }, () => {}, { sync: true })
+      expect(vm.person instanceof Person).toBe(true)
+      vm.person.first = 'c'
+      return waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith('c b', 'a b')
+        vm.person.name = 'd e'
+      }).then(() => {
+        expect(spy).toHaveBeenCalledWith('d e', 'c b')
+        expect(spy.calls.count()).toBe(2)
+        // writing through an accessor does not add a key
+        expect(keyReads).toBe(1)
+      })
+    }
+
+    it('should track accessors defined on the prototype', done => {
+      testAccessors().then(done)
+    })
+
+    it('should track accessors defined on the prototype (proxy mode)', done => {
+      Vue.config.reactivity = 'proxy'
+      testAccessors().then(done)
+    })
+
+    describe('with a custom toStringTag', () => {
+      class Model extends Person {
+        get [Symbol.toStringTag] () {
+          return 'Model'
+        }
+      }
+
+      afterEach(() => {
+        Vue.config.observeClasses = null
+      })
+
+      function testOptIn () {
+        const model = new Model('a', 'b')
+        expect(observe(model)).toBeUndefined()
+        Vue.config.observeClasses = value => value instanceof Model
+        const vm = new Vue({
+          data: { model }
+        })
+        const spy = jasmine.createSpy()
+        vm.$watch('model.name', spy)
+        expect(vm.model instanceof Model).toBe(true)
+        vm.model.first = 'c'
+        return waitForUpdate(() => {
+          expect(spy).toHaveBeenCalledWith('c b', 'a b')
+          vm.model.name = 'd e'
+        }).then(() => {
+          expect(spy).toHaveBeenCalledWith('d e', 'c b')
+        })
+      }
+
+      it('should only be observed when opted in', done => {
+        testOptIn().then(done)
+      })
+
+      it('should only be observed when opted in (proxy mode)', done => {
+        Vue.config.reactivity = 'proxy'
+        testOptIn().then(done)
+      })
+    })
+  })
 })
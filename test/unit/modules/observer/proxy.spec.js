@@ -0,0 +1,164 @@
+import Vue from 'vue'
+import Watcher from 'core/observer/watcher'
+import { Observer, observe, toRaw } from 'core/observer/index'
+
+describe('Observer: proxy mode', () => {
+  beforeEach(() => {
+    Vue.config.reactivity = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivity = 'defineProperty'
+  })
+
+  function watch (getter) {
+    const cb = jasmine.createSpy()
+    const watcher = new Watcher(null, getter, cb, { sync: true })
+    return { cb, watcher }
+  }
+
+  it('create on plain objects and arrays', () => {
+    const nested = { b: 1 }
+    const obj = { a: 1, nested }
+    const ob = observe(obj)
+    expect(ob instanceof Observer).toBe(true)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.proxy).not.toBe(obj)
+    // should not define getter/setters
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    // nested values are observed lazily
+    expect(nested.__ob__).toBeUndefined()
+    expect(ob.proxy.nested).toBe(nested.__ob__.proxy)
+    expect(toRaw(ob.proxy.nested)).toBe(nested)
+
+    const arr = [1]
+    const arrOb = observe(arr)
+    expect(Array.isArray(arrOb.proxy)).toBe(true)
+    expect(arrOb.proxy.length).toBe(1)
+  })
+
+  it('should not create proxies for collections', () => {
+    const ob = observe(new Map())
+    expect(ob.proxy).toBeUndefined()
+  })
+
+  it('observing added and deleted keys', () => {
+    const state = Vue.reactive({ a: 1 })
+    const { cb } = watch(() => state.b)
+    state.b = 2
+    expect(cb).toHaveBeenCalledWith(2, undefined)
+    delete state.b
+    expect(cb).toHaveBeenCalledWith(undefined, 2)
+    expect(cb.calls.count()).toBe(2)
+  })
+
+  it('observing key enumeration and `in`', () => {
+    const state = Vue.reactive({ a: 1 })
+    const keys = watch(() => Object.keys(state).join())
+    const has = watch(() => 'b' in state)
+    state.b = 1
+    expect(keys.cb).toHaveBeenCalledWith('a,b', 'a')
+    expect(has.cb).toHaveBeenCalledWith(true, false)
+    // changing the value of an existing key changes neither
+    state.b = 2
+    expect(keys.cb.calls.count()).toBe(1)
+    expect(has.cb.calls.count()).toBe(1)
+  })
+
+  it('should only trigger watchers of the changed key', () => {
+    const state = Vue.reactive({ a: 1, b: 1 })
+    const { cb } = watch(() => state.a)
+    state.b = 2
+    // same value
+    state.a = 1
+    expect(cb).not.toHaveBeenCalled()
+    state.a = 2
+    expect(cb).toHaveBeenCalledWith(2, 1)
+  })
+
+  it('observing array index and length writes', () => {
+    const list = Vue.reactive([1, 2, 3])
+    const { cb } = watch(() => list.join())
+    list[0] = 0
+    expect(cb).toHaveBeenCalledWith('0,2,3', '1,2,3')
+    list[3] = 4
+    expect(cb).toHaveBeenCalledWith('0,2,3,4', '0,2,3')
+    list.length = 0
+    expect(cb).toHaveBeenCalledWith('', '0,2,3,4')
+    list.push(1)
+    expect(cb).toHaveBeenCalledWith('1', '')
+    expect(cb.calls.count()).toBe(4)
+  })
+
+  it('observing nested values', () => {
+    const state = Vue.reactive({ nested: { list: [] } })
+    const { cb } = watch(() => state.nested.list.length)
+    state.nested.list.push({})
+    expect(cb).toHaveBeenCalledWith(1, 0)
+    const list = [1, 2]
+    state.nested.list = list
+    expect(cb).toHaveBeenCalledWith(2, 1)
+    // raw values are stored
+    expect(toRaw(state.nested).list).toBe(list)
+  })
+
+  it('Vue.set and Vue.delete should still work', () => {
+    const state = Vue.reactive({ a: 1 })
+    const { cb } = watch(() => state.b)
+    Vue.set(toRaw(state), 'b', 1)
+    expect(cb).toHaveBeenCalledWith(1, undefined)
+    Vue.delete(state, 'b')
+    expect(cb).toHaveBeenCalledWith(undefined, 1)
+  })
+
+  it('should make instance data reactive', done => {
+    const vm = new Vue({
+      data: {
+        obj: {},
+        list: [1, 2]
+      },
+      render (h) {
+        return h('div', `${this.obj.a}-${this.list.join()}`)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('undefined-1,2')
+    vm.obj.a = 1
+    vm.list[0] = 0
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1-0,2')
+      delete vm.obj.a
+      vm.list.length = 1
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('undefined-0')
+    }).then(done)
+  })
+
+  it('deep watchers', done => {
+    const spy = jasmine.createSpy()
+    const vm = new Vue({
+      data: { obj: { nested: {} } },
+      watch: {
+        obj: { handler: spy, deep: true }
+      }
+    })
+    vm.obj.nested.a = 1
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('readonly views', () => {
+    const original = Vue.reactive({ list: [1, 2] })
+    const view = Vue.readonly(original)
+    view.list.length = 0
+    expect('Set operation on key "length" failed: target is readonly.').toHaveBeenWarned()
+    view.b = 1
+    expect('Set operation on key "b" failed: target is readonly.').toHaveBeenWarned()
+    expect(view.list.length).toBe(2)
+    // changes to the original are still reflected
+    original.list.length = 1
+    original.b = 1
+    expect(view.list.length).toBe(1)
+    expect(view.b).toBe(1)
+  })
+})
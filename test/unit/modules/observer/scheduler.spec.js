@@ -126,6 +126,56 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('warn against watchers re-queueing each other', done => {
+    const vm = new Vue({
+      data: { a: 0, b: 0 },
+      watch: {
+        a () { this.b++ },
+        b () { this.a++ }
+      }
+    })
+    vm.a++
+    waitForUpdate(() => {
+      expect(
+        'infinite update loop in watcher with expression "a"\n\n' +
+        'Update cycle:\n' +
+        '  1. watcher with expression "a" triggered "set" on key "b", ' +
+        're-queueing watcher with expression "b"\n' +
+        '     (found in <Root>)\n' +
+        '  2. watcher with expression "b" triggered "set" on key "a", ' +
+        're-queueing watcher with expression "a"\n' +
+        '     (found in <Root>)'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('report render functions in update cycles', done => {
+    const vm = new Vue({
+      data: { n: 0 },
+      template: '<div><child :n="n" @bump="n++"></child></div>',
+      components: {
+        child: {
+          name: 'child',
+          props: ['n'],
+          render (h) {
+            this.$emit('bump')
+            return h('div', this.n)
+          }
+        }
+      }
+    }).$mount()
+    vm.n++
+    waitForUpdate(() => {
+      expect('infinite update loop in a component render function.').toHaveBeenWarned()
+      expect(
+        'render function of <Child> triggered "set" on key "n", ' +
+        're-queueing render function of <Root>\n' +
+        '     ---> <Child>\n' +
+        '            <Root>'
+      ).toHaveBeenWarned()
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -147,6 +197,114 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  describe('flush budget', () => {
+    function busy (ms) {
+      const end = Date.now() + ms
+      while (Date.now() < end) { /* block */ }
+    }
+
+    function waitForFlush (cb) {
+      // yielded flushes resume in macrotasks
+      setTimeout(() => setTimeout(() => setTimeout(cb, 10), 10), 10)
+    }
+
+    beforeEach(() => {
+      Vue.config.flushBudget = 1
+    })
+
+    afterEach(() => {
+      Vue.config.flushBudget = 0
+    })
+
+    it('should yield when the budget is spent', done => {
+      const calls = []
+      const job = id => ({
+        id,
+        run () {
+          calls.push(id)
+          busy(2)
+        }
+      })
+      queueWatcher(job(1))
+      queueWatcher(job(3))
+      queueWatcher(job(4))
+      setTimeout(() => {
+        expect(calls).toEqual([1])
+        // should still be inserted in id order
+        queueWatcher(job(2))
+        waitForFlush(() => {
+          expect(calls).toEqual([1, 2, 3, 4])
+          done()
+        })
+      })
+    })
+
+    it('should call updated hooks after the whole queue', done => {
+      const updated = jasmine.createSpy('updated')
+      const vm = new Vue({
+        data: { a: 1 },
+        watch: {
+          a () { busy(2) }
+        },
+        render (h) {
+          return h('div', this.a)
+        },
+        updated
+      }).$mount()
+      vm.a = 2
+      setTimeout(() => {
+        expect(vm.$el.textContent).toBe('1')
+        expect(updated).not.toHaveBeenCalled()
+        waitForFlush(() => {
+          expect(vm.$el.textContent).toBe('2')
+          expect(updated.calls.count()).toBe(1)
+          done()
+        })
+      })
+    })
+
+    it('should hold back nextTick callbacks until the queue is done', done => {
+      const calls = []
+      const job = id => ({
+        id,
+        run () {
+          calls.push(id)
+          busy(2)
+        }
+      })
+      queueWatcher(job(1))
+      queueWatcher(job(2))
+      Vue.nextTick(() => {
+        expect(calls).toEqual([1, 2])
+        calls.push('tick')
+      })
+      setTimeout(() => {
+        expect(calls).toEqual([1])
+        // queued while yielding
+        Vue.nextTick(() => {
+          expect(calls).toEqual([1, 2, 'tick'])
+          done()
+        })
+      })
+    })
+
+    it('should be ignored when not async', () => {
+      Vue.config.async = false
+      const vm = new Vue({
+        data: { a: 1 },
+        watch: {
+          a () { busy(2) }
+        },
+        render (h) {
+          return h('div', this.a)
+        }
+      }).$mount()
+      vm.a = 2
+      Vue.config.async = true
+      expect(vm.$el.textContent).toBe('2')
+    })
+  })
+
   // GitHub issue #5191
   it('emit should work when updated hook called', done => {
     const el = document.createElement('div')
@@ -388,4 +388,32 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  it('should hydrate components with multiple root nodes', done => {
+    const dom = createMockSSRDOM('<p>a</p><p>b</p><span>c</span>')
+    const originalNode = dom.children[1]
+
+    const vm = new Vue({
+      template: '<div><test :items="items"></test><span>c</span></div>',
+      data: {
+        items: ['a', 'b']
+      },
+      components: {
+        test: {
+          props: ['items'],
+          render (h) {
+            return this.items.map(item => h('p', item))
+          }
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(dom.children[1]).toBe(originalNode)
+    vm.items.push('x')
+    waitForUpdate(() => {
+      expect(dom.innerHTML).toBe('<p>a</p><p>b</p><p>x</p><span>c</span>')
+      expect(dom.children[1]).toBe(originalNode)
+    }).then(done)
+  })
 })
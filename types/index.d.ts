@@ -5,7 +5,15 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  Ref,
+  ComputedRef,
+  ComputedState,
+  WritableComputedOptions,
+  EffectOptions,
+  EffectRunner,
+  EffectScope,
+  DeepReadonly
 } from "./vue";
 
 export {
@@ -14,9 +22,12 @@ export {
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
+  SetupContext,
   PropType,
   PropOptions,
   ComputedOptions,
+  DebuggerEvent,
+  DebuggerOptions,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
@@ -40,7 +40,7 @@ export type AsyncComponentFactory<Data=DefaultData<never>, Methods=DefaultMethod
  * to infer from the shape of `Accessors<Computed>` and work backwards.
  */
 export type Accessors<T> = {
-  [K in keyof T]: (() => T[K]) | ComputedOptions<T[K]>
+  [K in keyof T]: (() => T[K] | Promise<T[K]>) | ComputedOptions<T[K]>
 }
 
 type DataDef<Data, Props, V> = Data | ((this: Readonly<Props> & V) => Data)
@@ -76,12 +76,14 @@ export interface ComponentOptions<
   propsData?: object;
   computed?: Accessors<Computed>;
   methods?: Methods;
+  emits?: string[] | Record<string, ((...args: any[]) => boolean) | null>;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  setup?(this: void, props: Props, context: SetupContext): SetupResult | Promise<SetupResult>;
 
   el?: Element | string;
   template?: string;
   // hack is for functional component type inference, should not be used in user code
-  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
+  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode | VNode[];
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -144,6 +146,15 @@ export interface RenderContext<Props=DefaultProps> {
   injections: any
 }
 
+type SetupResult = Record<string, any> | ((createElement: CreateElement) => VNode | VNode[]) | void;
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: VNode[] | undefined };
+  emit(event: string, ...args: any[]): void;
+}
+
 export type Prop<T> = { (): T } | { new(...args: never[]): T & object } | { new(...args: string[]): Function }
 
 export type PropType<T> = Prop<T> | Prop<T>[];
@@ -163,21 +174,38 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: "get" | "has" | "iterate" | "set" | "add" | "delete" | "clear" | "array mutation";
+  key: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
+}
+
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
+  equals?(value: T, oldValue: T): boolean;
 }
 
 export type WatchHandler<T> = (val: T, oldVal: T) => void;
 
-export interface WatchOptions {
-  deep?: boolean;
+export interface WatchOptions extends DebuggerOptions {
+  deep?: boolean | number;
+  flush?: 'pre' | 'post' | 'sync';
   immediate?: boolean;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
   handler: WatchHandler<T>;
+  sources?: (string | ((this: any) => any))[];
 }
 
 export interface DirectiveBinding extends Readonly<VNodeDirective> {
@@ -148,12 +148,28 @@ Vue.component('component', {
         this.a = v - 1;
       },
       cache: false
+    },
+    aTracked: {
+      get(): number {
+        return this.a;
+      },
+      equals(value: number, oldValue: number) {
+        return value.toFixed() === oldValue.toFixed();
+      },
+      onTrigger(e) {
+        e.oldValue;
+      }
+    },
+    async aRemote(): Promise<number> {
+      return this.a;
     }
   },
   methods: {
     plus(): void {
       this.a++;
       this.aDouble.toFixed();
+      this.aRemote.toFixed();
+      this.$computedState.aRemote.pending;
       this.aPlus = 1;
       this.size.toFixed();
     }
@@ -168,6 +184,21 @@ Vue.component('component', {
         this.a = val
       },
       deep: true
+    },
+    'd': {
+      handler(val, oldVal) {},
+      onTrack(e) {
+        e.target;
+        e.key;
+      },
+      onTrigger(e) {
+        e.type;
+        e.newValue;
+      }
+    },
+    'e': {
+      sources: ['a', function () { return this.a }],
+      handler(vals, oldVals) {}
     }
   },
   el: "#app",
@@ -328,6 +359,37 @@ Vue.component('component-with-slot', {
   }
 })
 
+Vue.component('component-with-setup', {
+  props: {
+    step: Number
+  },
+  setup(props, context) {
+    const count = Vue.ref(0)
+    const increment = () => {
+      count.value += props.step
+      context.emit('change', count.value)
+    }
+    return { count, increment }
+  }
+});
+
+Vue.component('component-with-emits', {
+  emits: ['change']
+});
+
+Vue.component('component-with-emits-validators', {
+  emits: {
+    change: (value: number) => value > 0,
+    close: null
+  }
+});
+
+Vue.component('component-with-setup-render', {
+  setup(props, { slots }) {
+    return h => h('div', slots.default)
+  }
+});
+
 Vue.component('component-with-scoped-slot', {
   render (h) {
     interface ScopedSlotProps {
@@ -377,6 +439,12 @@ Vue.component('component-with-scoped-slot', {
   }
 })
 
+Vue.component('component-with-multiple-roots', {
+  render (h) {
+    return [h('dt'), h('dd')]
+  }
+})
+
 Vue.component('narrow-array-of-vnode-type', {
   render (h): VNode {
     const slot = this.$scopedSlots.default!({})
@@ -44,6 +44,11 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", () => {}, { deep: 2, flush: 'post' });
+    this.$watch(["a", () => this.a], (vals, oldVals) => {
+      vals[0];
+      oldVals.length;
+    });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +80,10 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.reactivity = 'proxy';
+    config.flushBudget = 8;
+    config.releaseIdleComputed = true;
+    config.observeClasses = value => value instanceof Date;
   }
 
   static testMethods() {
@@ -214,6 +223,45 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const state = Vue.reactive({ count: 0 })
+const count = Vue.ref(0)
+count.value++
+const double = Vue.computed(() => state.count * 2)
+const n: number = double.value
+const writable = Vue.computed({
+  get: () => count.value,
+  set: (val: number) => { count.value = val }
+})
+writable.value = 1
+const runner = Vue.effect(() => state.count, { sync: false })
+const m: number = runner()
+Vue.stop(runner)
+Vue.isRef(count)
+
+const shallow = Vue.shallowReactive({ nested: { a: 1 } })
+shallow.nested = { a: 2 }
+const ro = Vue.readonly({ nested: { a: 1 }, list: [1] })
+const roA: number = ro.nested.a
+const raw: { chart: object } = Vue.markRaw({ chart: {} })
+const snap = Vue.snapshot(state)
+Vue.restore(state, snap)
+const form: { fields?: { name: string }[] } = {}
+const setName: string = Vue.setPath(form, 'fields[0].name', 'a')
+Vue.deletePath(form, 'fields[0].name')
+
+const scope = Vue.effectScope()
+const scoped: number | undefined = scope.run(() => {
+  Vue.effect(() => state.count)
+  return 1
+})
+Vue.getCurrentScope()
+scope.stop()
+
+const batched: number = Vue.batch(() => {
+  state.count++
+  return state.count
+})
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
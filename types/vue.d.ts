@@ -11,6 +11,7 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -32,6 +33,7 @@ export interface Vue {
   readonly $isServer: boolean;
   readonly $data: Record<string, any>;
   readonly $props: Record<string, any>;
+  readonly $computedState: Record<string, ComputedState>;
   readonly $ssrContext: any;
   readonly $vnode: VNode;
   readonly $attrs: Record<string, string>;
@@ -52,6 +54,11 @@ export interface Vue {
     callback: (this: this, n: T, o: T) => void,
     options?: WatchOptions
   ): (() => void);
+  $watch(
+    sources: (string | ((this: this) => any))[],
+    callback: (this: this, n: any[], o: any[]) => void,
+    options?: WatchOptions
+  ): (() => void);
   $on(event: string | string[], callback: Function): this;
   $once(event: string | string[], callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
@@ -74,9 +81,53 @@ export interface VueConfiguration {
   warnHandler(msg: string, vm: Vue, trace: string): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  strict: boolean;
+  reactivity: 'defineProperty' | 'proxy';
+  flushBudget: number;
+  releaseIdleComputed: boolean;
+  observeClasses: ((value: object) => boolean) | null;
   async: boolean;
 }
 
+export interface ComputedState<T = any> {
+  pending: boolean;
+  error: any;
+  value: T | undefined;
+}
+
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> extends Ref<T> {
+  readonly value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export interface EffectOptions extends DebuggerOptions {
+  sync?: boolean;
+}
+
+export interface EffectRunner<T = any> {
+  (): T;
+}
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+export type DeepReadonly<T> = T extends Function
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
@@ -95,6 +146,8 @@ export interface VueConstructor<V extends Vue = Vue> {
   set<T>(array: T[], key: number, value: T): T;
   delete(object: object, key: string | number): void;
   delete<T>(array: T[], key: number): void;
+  setPath<T>(target: object, path: string, value: T): T;
+  deletePath(target: object, path: string): void;
 
   directive(
     id: string,
@@ -121,6 +174,22 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(obj: T): T;
+  shallowReactive<T extends object>(obj: T): T;
+  readonly<T extends object>(obj: T): DeepReadonly<T>;
+  markRaw<T extends object>(obj: T): T;
+  ref<T>(value: T): Ref<T>;
+  isRef(value: any): value is Ref;
+  computed<T>(getter: () => T, debugOptions?: DebuggerOptions): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>, debugOptions?: DebuggerOptions): Ref<T>;
+  effect<T>(fn: () => T, options?: EffectOptions): EffectRunner<T>;
+  stop(runner: EffectRunner | ComputedRef): void;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  batch<T>(fn: () => T): T;
+  snapshot<T>(obj: T): T;
+  restore<T>(obj: T, snapshot: T): void;
+
   config: VueConfiguration;
   version: string;
 }